@@ -0,0 +1,65 @@
+// Checks, without network access, that every pdf.js worker the app ships
+// matches the pdf.js library that talks to it. pdf.js refuses to run with a
+// mismatched worker, and the failure otherwise only shows up in the browser.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const problems = [];
+
+const packageDir = (name, from) => {
+  let dir = path.dirname(require.resolve(name, { paths: [from] }));
+  while (!fs.existsSync(path.join(dir, 'package.json')) || !dir.endsWith(name)) {
+    const parent = path.dirname(dir);
+    if (parent === dir) throw new Error(`Could not locate the ${name} package.`);
+    dir = parent;
+  }
+  return dir;
+};
+
+// The worker compares the API version it is sent with a version string
+// compiled into it, which is the one read here.
+const workerVersion = (file) => {
+  const match = fs.readFileSync(file, 'utf8').match(/apiVersion:(\w+)\}=\w+,(\w+)="([\d.]+)";if\(\1!==\2\)/);
+  return match ? match[3] : null;
+};
+
+const checkPdfjs = (label, pdfjsDir) => {
+  const { version } = require(path.join(pdfjsDir, 'package.json'));
+  const worker = path.join(pdfjsDir, 'build', 'pdf.worker.min.mjs');
+  if (!fs.existsSync(worker)) {
+    problems.push(`${label}: ${path.relative(root, worker)} is missing.`);
+    return version;
+  }
+  const found = workerVersion(worker);
+  if (found !== version) {
+    problems.push(`${label}: pdfjs-dist ${version} ships worker version ${found || 'unknown'}.`);
+  }
+  return version;
+};
+
+const appVersion = checkPdfjs('pdfjs-dist', packageDir('pdfjs-dist', root));
+const viewerVersion = checkPdfjs('react-pdf', packageDir('pdfjs-dist', packageDir('react-pdf', root)));
+if (viewerVersion !== appVersion) {
+  problems.push(
+    `react-pdf uses pdfjs-dist ${viewerVersion} but the app bundles the worker from pdfjs-dist ${appVersion}. ` +
+    `Set "pdfjs-dist" in package.json to "${viewerVersion}" and reinstall.`
+  );
+}
+
+// Stray copies in public/ would be served alongside the bundled worker.
+fs.readdirSync(path.join(root, 'public'))
+  .filter(name => /^pdf\.worker/.test(name))
+  .forEach(name => {
+    const found = workerVersion(path.join(root, 'public', name));
+    if (found !== appVersion) {
+      problems.push(`public/${name} is pdf.js worker ${found || 'unknown'}, expected ${appVersion}.`);
+    }
+  });
+
+if (problems.length > 0) {
+  console.error('pdf.js worker check failed:');
+  problems.forEach(problem => console.error(`  - ${problem}`));
+  process.exit(1);
+}
+console.log(`pdf.js worker check passed (pdfjs-dist ${appVersion}).`);
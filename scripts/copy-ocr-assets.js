@@ -0,0 +1,26 @@
+// Copies the Tesseract worker, engine and English language data into
+// public/ocr so OCR is served by the app itself instead of a CDN. Run
+// before `start` and `build`; public/ocr is not committed.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const target = path.join(root, 'public', 'ocr');
+
+const packageDir = (name) => path.dirname(require.resolve(`${name}/package.json`, { paths: [root] }));
+
+const assets = [
+  [packageDir('tesseract.js'), 'dist/worker.min.js'],
+  // tesseract.js picks one of these at runtime by the browser's WASM SIMD
+  // support (see createPageReader in src/utils/ocr.js).
+  [packageDir('tesseract.js-core'), 'tesseract-core-relaxedsimd-lstm.wasm.js'],
+  [packageDir('tesseract.js-core'), 'tesseract-core-simd-lstm.wasm.js'],
+  [packageDir('tesseract.js-core'), 'tesseract-core-lstm.wasm.js'],
+  [packageDir('@tesseract.js-data/eng'), '4.0.0_best_int/eng.traineddata.gz'],
+];
+
+fs.mkdirSync(target, { recursive: true });
+assets.forEach(([dir, file]) => {
+  fs.copyFileSync(path.join(dir, file), path.join(target, path.basename(file)));
+});
+console.log(`Copied ${assets.length} OCR assets to public/ocr.`);
@@ -1,305 +1,496 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import * as pdfjsLib from 'pdfjs-dist';
-import * as diff from 'diff';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import * as XLSX from 'xlsx';
+import { buildExportRows } from './utils/exportRows';
+import { partLines, movedLine } from './utils/lineDiff';
+import { alignSections, repairSection } from './utils/sectionAlignment';
+import { subtreeKeys, visibleTree } from './utils/sectionTree';
+import { collectHighlights, tableCellAnchors, textAnchors } from './utils/highlights';
+import { inlineSegments } from './utils/inlineDiff';
+import TableDiffGrid from './components/TableDiffGrid';
+import NumericDiffTable from './components/NumericDiffTable';
+import SideBySideViewer from './components/SideBySideViewer';
+import VersionMatrix from './components/VersionMatrix';
+import { runWorkerJob } from './utils/workerJob';
+import { PasswordResponses } from 'pdfjs-dist';
+import { NO_DEFINITIONS, compilePattern, describeRule, resolveSections } from './utils/sectionDefinitions';
+import {
+  loadProfiles, saveProfiles, createProfile, profileSelection, profilesToJson, profilesFromJson, mergeProfiles,
+} from './utils/profiles';
+import { DEFAULT_IGNORE_RULES, compileIgnorePattern } from './utils/ignoreRules';
+import { detectRunningText } from './utils/runningText';
+import { NUMBER_LOCALES, documentLocale } from './utils/numberFormat';
 
-// PDF.js Worker Setup
-pdfjsLib.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsLib.version}/pdf.worker.mjs`;
+// Shared empty list so derived section arrays keep a stable identity.
+const NO_SECTIONS = [];
+
+// `status` is 'empty', 'parsing', 'locked' (waiting for a password), 'ready'
+// or 'error'. `parsed` is the parsePdf result, from which the sections are
+// resolved. The password is kept so the viewer can open the file too.
+// `locale` is the number format (see numberFormat), or 'auto' to detect it.
+const emptyVersion = (id) => ({
+  id, file: null, name: '', parsed: null, mode: null, status: 'empty', progress: null, password: null, passwordError: '',
+  locale: 'auto',
+});
+
+const emptyRuleDraft = { type: 'pages', title: '', from: '', to: '', pattern: '' };
 
 function App() {
   // All existing state management (unchanged)
   const [page, setPage] = useState('home');
-  const [oldPdf, setOldPdf] = useState(null);
-  const [newPdf, setNewPdf] = useState(null);
-  const [oldPdfSections, setOldPdfSections] = useState([]);
-  const [newPdfSections, setNewPdfSections] = useState([]);
-  const [newPdfName, setNewPdfName] = useState('');
-  const [oldPdfName, setOldPdfName] = useState('');
+  // Uploaded versions in chronological order. The baseline is compared
+  // against the target in detail; every version feeds the version matrix.
+  const [versions, setVersions] = useState([emptyVersion(1), emptyVersion(2)]);
+  const [baselineId, setBaselineId] = useState(1);
+  const [targetId, setTargetId] = useState(null);
   const [combinedSections, setCombinedSections] = useState([]);
+  const [isAligning, setIsAligning] = useState(false);
   const [selectedSections, setSelectedSections] = useState({});
+  const [repairingKey, setRepairingKey] = useState(null);
+  const [collapsedSections, setCollapsedSections] = useState({});
+  const [showPageMap, setShowPageMap] = useState(false);
   const [onlyNumeric, setOnlyNumeric] = useState(false);
+  const [tableAware, setTableAware] = useState(false);
+  const [tolerance, setTolerance] = useState({ absolute: '0', relative: '0' });
+  const [showWithinTolerance, setShowWithinTolerance] = useState(false);
+  const [inlineMode, setInlineMode] = useState('off');
+  const [stripHeaders, setStripHeaders] = useState(false);
   const [comparisonResult, setComparisonResult] = useState([]);
+  const [versionMatrix, setVersionMatrix] = useState(null);
+  const [resultsView, setResultsView] = useState('differences');
+  const [showViewer, setShowViewer] = useState(false);
+  const [viewerFocus, setViewerFocus] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  const [compareProgress, setCompareProgress] = useState(null);
   const [error, setError] = useState('');
-  const [fallbackMessage, setFallbackMessage] = useState('');
+  const [passwordInputs, setPasswordInputs] = useState({});
+  // User-defined sections, applied to every version.
+  const [sectionDefinitions, setSectionDefinitions] = useState(NO_DEFINITIONS);
+  const [ruleDraft, setRuleDraft] = useState(emptyRuleDraft);
+  const [showDefinitions, setShowDefinitions] = useState(false);
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileName, setActiveProfileName] = useState('');
+  const [profileDraft, setProfileDraft] = useState({ name: '', pattern: '' });
+  const [ignoreRules, setIgnoreRules] = useState(DEFAULT_IGNORE_RULES);
+  const [ignoreDraft, setIgnoreDraft] = useState({ label: '', pattern: '' });
+  const [showIgnoreRules, setShowIgnoreRules] = useState(false);
+  // Matches removed by each ignore rule in the last comparison.
+  const [suppressedCounts, setSuppressedCounts] = useState([]);
+  // The applied profile also picks the sections of documents uploaded later.
+  const selectionProfile = useRef(null);
+  // Running worker jobs: parses keyed by version id, plus 'compare'.
+  const jobs = useRef({});
+  // Rendered result lines by "resultKey|part|line", to scroll between the
+  // two ends of a moved line.
+  const resultLines = useRef({});
 
-  // All existing functions remain unchanged
-  const parsePdf = useCallback(async (file) => {
-    if (!file) return { sections: [], mode: 'PAGES' };
-    
-    const reader = new FileReader();
-    return new Promise((resolve, reject) => {
-      reader.onload = async (event) => {
-        try {
-          const pdf = await pdfjsLib.getDocument(event.target.result).promise;
-          const outline = await pdf.getOutline();
-          let sections = [];
-          let parseMode = 'TOC';
-
-          const processOutline = async (outlineItems, level = 0) => {
-            for (const item of outlineItems) {
-              let pageNum = null;
-              
-              try {
-                if (item.dest) {
-                  try {
-                    const destination = await pdf.getDestination(item.dest);
-                    if (destination && destination[0]) {
-                      const pageIndex = await pdf.getPageIndex(destination[0]);
-                      pageNum = pageIndex + 1;
-                    }
-                  } catch (destError) {
-                    if (typeof item.dest === 'string') {
-                      console.warn(`Could not resolve destination for "${item.title}", trying alternative methods`);
-                    } else if (Array.isArray(item.dest)) {
-                      try {
-                        const pageIndex = await pdf.getPageIndex(item.dest[0]);
-                        pageNum = pageIndex + 1;
-                      } catch (altError) {
-                        console.warn(`Alternative destination method failed for "${item.title}"`);
-                      }
-                    }
-                  }
-                }
-                
-                if (pageNum === null && item.title) {
-                  pageNum = sections.length + 1;
-                  console.warn(`Using estimated page ${pageNum} for section "${item.title}"`);
-                }
-                
-                if (item.title && item.title.trim()) {
-                  sections.push({ 
-                    title: item.title.trim(), 
-                    startPage: pageNum || sections.length + 1,
-                    level: level,
-                    hasValidPage: pageNum !== null
-                  });
-                }
-                
-              } catch (e) {
-                if (item.title && item.title.trim()) {
-                  console.warn(`Adding section "${item.title}" without page reference due to error:`, e);
-                  sections.push({ 
-                    title: item.title.trim(), 
-                    startPage: sections.length + 1,
-                    level: level,
-                    hasValidPage: false
-                  });
-                }
-              }
-
-              if (item.items && item.items.length > 0) {
-                await processOutline(item.items, level + 1);
-              }
-            }
-          };
-
-          if (outline && outline.length > 0) {
-            await processOutline(outline);
-            
-            if (sections.length > 0) {
-              sections = sections.filter((section, index, self) =>
-                index === self.findIndex((s) => s.title === section.title)
-              );
-              
-              const validPageSections = sections.filter(s => s.hasValidPage);
-              const invalidPageSections = sections.filter(s => !s.hasValidPage);
-              
-              if (validPageSections.length > 0) {
-                validPageSections.sort((a, b) => a.startPage - b.startPage);
-                invalidPageSections.forEach((section, index) => {
-                  section.startPage = Math.ceil(pdf.numPages / (invalidPageSections.length + 1)) * (index + 1);
-                });
-                sections = [...validPageSections, ...invalidPageSections].sort((a, b) => a.startPage - b.startPage);
-              } else {
-                sections.forEach((section, index) => {
-                  section.startPage = Math.ceil(pdf.numPages / sections.length) * index + 1;
-                });
-              }
-              
-              console.log(`Successfully parsed ${sections.length} sections from TOC`);
-            }
-          }
-          
-          if (sections.length === 0) {
-            console.warn("No outline sections could be extracted. Falling back to page-by-page splitting.");
-            parseMode = 'PAGES';
-            for (let i = 1; i <= pdf.numPages; i++) {
-              sections.push({ title: `Page ${i}`, startPage: i, hasValidPage: true });
-            }
-          } else {
-            sections = sections.map(section => ({
-              ...section,
-              startPage: Math.min(section.startPage, pdf.numPages)
-            }));
-          }
-
-          const extractedSections = [];
-          for (let i = 0; i < sections.length; i++) {
-            const startPage = sections[i].startPage;
-            const endPage = (i + 1 < sections.length) ? sections[i + 1].startPage - 1 : pdf.numPages;
-            let sectionText = '';
-            for (let j = startPage; j <= endPage; j++) {
-              if (j > pdf.numPages || j < 1) continue;
-              const page = await pdf.getPage(j);
-              const textContent = await page.getTextContent();
-              sectionText += textContent.items.map(item => item.str).join(' ');
-            }
-            extractedSections.push({ title: sections[i].title, text: sectionText });
-          }
-          resolve({ sections: extractedSections, mode: parseMode });
-        } catch (err) {
-          reject(err);
-        }
-      };
-      reader.onerror = (err) => reject(err);
-      reader.readAsArrayBuffer(file);
-    });
-  }, []);
+  const loadedVersions = versions.filter(v => v.status === 'ready');
+  const baseline = loadedVersions.find(v => v.id === baselineId) || loadedVersions[0] || null;
+  const target = loadedVersions.find(v => v.id === targetId && v !== baseline) ||
+    [...loadedVersions].reverse().find(v => v !== baseline) || null;
+  const oldPdf = baseline ? baseline.file : null;
+  const newPdf = target ? target.file : null;
+  const oldPdfName = baseline ? baseline.name : '';
+  const newPdfName = target ? target.name : '';
+  const sectionsOf = (version) => (version && version.parsed ? resolveSections(version.parsed, sectionDefinitions) : NO_SECTIONS);
+  const oldPdfSections = sectionsOf(baseline);
+  const newPdfSections = sectionsOf(target);
+  const isParsing = versions.some(v => v.status === 'parsing');
+  const localeOf = (version) => (version.locale === 'auto' ? documentLocale(version.parsed) : version.locale);
+  const versionLabel = (version) => `V${versions.indexOf(version) + 1}: ${version.name}`;
+  // Versions without bookmarks, split by page or by inferred headings, are
+  // paired by content rather than by page number or title.
+  const pagesOnly = (list) => sectionDefinitions.rules.length === 0 &&
+    list.every(v => v.mode === 'PAGES' || v.mode === 'HEADINGS');
+  const pageAligned = Boolean(baseline && target) && pagesOnly([baseline, target]);
+  const fallbackMode = baseline && target && sectionDefinitions.rules.length === 0
+    ? ['PAGES', 'HEADINGS'].find(mode => baseline.mode === mode || target.mode === mode)
+    : null;
+  const fallbackMessage = {
+    PAGES: 'One or both PDFs lacked a table of contents and headings, so they are compared page by page. Define sections by page range or heading to split them differently.',
+    HEADINGS: 'One or both PDFs lacked a table of contents, so sections were inferred from their headings. Define sections by page range or heading if any look wrong.',
+  }[fallbackMode] || '';
+  const draftPattern = ruleDraft.type === 'heading' && ruleDraft.pattern ? compilePattern(ruleDraft.pattern) : null;
+  const draftValid = ruleDraft.type === 'pages'
+    ? Number(ruleDraft.from) >= 1 && Number(ruleDraft.to) >= Number(ruleDraft.from)
+    : Boolean(draftPattern);
+  // A pattern that matches the empty string would match everywhere.
+  const ignoreDraftPattern = ignoreDraft.pattern ? compileIgnorePattern(ignoreDraft.pattern) : null;
+  const ignoreDraftValid = Boolean(ignoreDraftPattern) && !ignoreDraftPattern.test('');
 
   useEffect(() => {
-    const processFiles = async () => {
-      if (!oldPdf || !newPdf) return;
-      setIsLoading(true);
-      setError('');
-      setFallbackMessage('');
-      setComparisonResult([]);
-      try {
-        const [oldResult, newResult] = await Promise.all([
-          parsePdf(oldPdf),
-          parsePdf(newPdf)
-        ]);
-        setOldPdfSections(oldResult.sections);
-        setNewPdfSections(newResult.sections);
-
-        if (oldResult.mode === 'PAGES' || newResult.mode === 'PAGES') {
-            setFallbackMessage('One or both PDFs lacked a table of contents. Comparison is based on page numbers.');
-        }
-
-      } catch (err) {
-        console.error("PDF Parsing Error:", err);
-        setError(`Failed to parse PDF: ${err.message}. Please ensure the file is not corrupted.`);
-      } finally {
-        setIsLoading(false);
-      }
+    const applyPairs = (pairs) => {
+      setCombinedSections(pairs);
+      setRepairingKey(null);
+      setCollapsedSections({});
+      const initialSelection = selectionProfile.current
+        ? profileSelection(selectionProfile.current, pairs)
+        : pairs.reduce((acc, pair) => {
+          acc[pair.key] = true;
+          return acc;
+        }, {});
+      setSelectedSections(initialSelection);
     };
-    processFiles();
-  }, [oldPdf, newPdf, parsePdf]);
+    if (oldPdfSections.length === 0 || newPdfSections.length === 0 || !pageAligned) {
+      applyPairs(oldPdfSections.length > 0 && newPdfSections.length > 0 ? alignSections(oldPdfSections, newPdfSections) : []);
+      setIsAligning(false);
+      return undefined;
+    }
 
-  useEffect(() => {
-    const oldTitles = oldPdfSections.map(s => s.title);
-    const newTitles = newPdfSections.map(s => s.title);
-    const allTitles = [...new Set([...oldTitles, ...newTitles])].sort();
-    setCombinedSections(allTitles);
-    const initialSelection = allTitles.reduce((acc, title) => {
-      acc[title] = true;
-      return acc;
-    }, {});
-    setSelectedSections(initialSelection);
-  }, [oldPdfSections, newPdfSections]);
+    // Content alignment compares every old section with every new one, so
+    // it runs in the worker; only what it reads is sent over.
+    const summary = (sections) => sections.map(({ id, title, path, level, text }) => ({ id, title, path, level, text }));
+    applyPairs([]);
+    setIsAligning(true);
+    const job = runWorkerJob('alignPages', { oldSections: summary(oldPdfSections), newSections: summary(newPdfSections) });
+    job.promise
+      .then(pairs => {
+        applyPairs(pairs);
+        setIsAligning(false);
+      })
+      .catch(err => {
+        if (err.cancelled) return;
+        console.error("Alignment Error:", err);
+        setError(`Aligning the pages failed: ${err.message}`);
+        setIsAligning(false);
+      });
+    return job.cancel;
+  }, [oldPdfSections, newPdfSections, pageAligned]);
 
-  const handleFileChange = (e, type) => {
+  const updateVersion = (id, changes, file) => {
+    setVersions(prev => prev.map(v => (
+      v.id === id && (file === undefined || v.file === file) ? { ...v, ...changes } : v
+    )));
+  };
+
+  const handleFileChange = async (e, id) => {
     const file = e.target.files[0];
-    if (file && file.type === 'application/pdf') {
-      setError('');
-      if (type === 'new') {
-        setNewPdf(file);
-        setNewPdfName(file.name);
-      }
-      if (type === 'old') {
-        setOldPdf(file);
-        setOldPdfName(file.name);
-      }
-    } else {
+    if (jobs.current[id]) jobs.current[id].cancel();
+    if (!file || file.type !== 'application/pdf') {
       setError('Please select a valid PDF file.');
-      if (type === 'new') {
-        setNewPdf(null);
-        setNewPdfName('');
+      updateVersion(id, emptyVersion(id));
+      return;
+    }
+
+    setError('');
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
+    updateVersion(id, { ...emptyVersion(id), file, name: file.name });
+    parseVersion(id, file, null);
+  };
+
+  const parseVersion = async (id, file, password) => {
+    updateVersion(id, { status: 'parsing', progress: null, passwordError: '' }, file);
+    const data = await file.arrayBuffer();
+    const job = runWorkerJob('parse', { data, password }, {
+      transfer: [data],
+      onProgress: (progress) => updateVersion(id, { progress }, file),
+    });
+    jobs.current[id] = job;
+    try {
+      const result = await job.promise;
+      // Ignore the result if another file was chosen for this slot meanwhile.
+      updateVersion(id, { parsed: result, mode: result.mode, status: 'ready', progress: null, password }, file);
+      setPasswordInputs(prev => ({ ...prev, [id]: '' }));
+    } catch (err) {
+      if (err.cancelled) {
+        updateVersion(id, emptyVersion(id), file);
+        return;
       }
-      if (type === 'old') {
-        setOldPdf(null);
-        setOldPdfName('');
+      if (err.name === 'PasswordException') {
+        updateVersion(id, {
+          status: 'locked',
+          progress: null,
+          passwordError: err.code === PasswordResponses.INCORRECT_PASSWORD ? 'Incorrect password. Please try again.' : '',
+        }, file);
+        return;
       }
+      console.error("PDF Parsing Error:", err);
+      setError(`Failed to parse PDF: ${err.message}. Please ensure the file is not corrupted.`);
+      updateVersion(id, { status: 'error', progress: null }, file);
+    } finally {
+      if (jobs.current[id] === job) delete jobs.current[id];
     }
   };
 
-  const handleSectionToggle = (title) => {
-    setSelectedSections(prev => ({ ...prev, [title]: !prev[title] }));
+  const handleLocaleChange = (id, locale) => {
+    updateVersion(id, { locale });
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
   };
 
-  const extractNumerics = (text) => {
-    const numericRegex = /-?\d+(?:,\d{3})*(?:\.\d+)?/g;
-    const numbers = text.match(numericRegex) || [];
-    return numbers.map(n => n.replace(/,/g, '')).join('\n');
+  const handleUnlock = (version) => {
+    parseVersion(version.id, version.file, passwordInputs[version.id] || '');
   };
 
-  const handleCompare = () => {
+  const handleAddRule = () => {
+    const rule = ruleDraft.type === 'pages'
+      ? { type: 'pages', title: ruleDraft.title.trim(), from: Number(ruleDraft.from), to: Number(ruleDraft.to) }
+      : { type: 'heading', pattern: ruleDraft.pattern };
+    setSectionDefinitions(prev => ({ ...prev, rules: [...prev.rules, rule] }));
+    setRuleDraft(prev => ({ ...emptyRuleDraft, type: prev.type }));
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
+  };
+
+  const handleRemoveRule = (index) => {
+    setSectionDefinitions(prev => ({ ...prev, rules: prev.rules.filter((_, i) => i !== index) }));
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
+  };
+
+  const handleToggleIgnoreRule = (index) => {
+    setIgnoreRules(prev => prev.map((rule, i) => (i === index ? { ...rule, enabled: !rule.enabled } : rule)));
+  };
+
+  const handleAddIgnoreRule = () => {
+    const rule = { label: ignoreDraft.label.trim() || ignoreDraft.pattern, pattern: ignoreDraft.pattern, enabled: true };
+    setIgnoreRules(prev => [...prev, rule]);
+    setIgnoreDraft({ label: '', pattern: '' });
+  };
+
+  const handleRemoveIgnoreRule = (index) => {
+    setIgnoreRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const storeProfiles = (next) => {
+    setProfiles(next);
+    try {
+      saveProfiles(next);
+    } catch (err) {
+      setError(`Could not save profiles: ${err.message}`);
+    }
+  };
+
+  const handleSaveProfile = () => {
+    const name = profileDraft.name.trim();
+    const profile = createProfile(name, {
+      pairs: combinedSections,
+      selectedSections,
+      pattern: profileDraft.pattern,
+      options: { onlyNumeric, tableAware, tolerance, showWithinTolerance, inlineMode, ignoreRules, stripRunningText: stripHeaders },
+      sectionDefinitions,
+    });
+    storeProfiles(mergeProfiles(profiles, [profile]));
+    setActiveProfileName(name);
+    setProfileDraft({ name: '', pattern: '' });
+  };
+
+  const handleApplyProfile = (name) => {
+    setActiveProfileName(name);
+    const profile = profiles.find(p => p.name === name);
+    if (!profile) return;
+    const { options } = profile;
+    setOnlyNumeric(options.onlyNumeric);
+    setTableAware(options.tableAware);
+    setTolerance(options.tolerance);
+    setShowWithinTolerance(options.showWithinTolerance);
+    setInlineMode(options.inlineMode);
+    setIgnoreRules(options.ignoreRules);
+    setStripHeaders(options.stripRunningText);
+    setSectionDefinitions(profile.sectionDefinitions);
+    selectionProfile.current = profile;
+    setSelectedSections(profileSelection(profile, combinedSections));
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
+  };
+
+  const handleDeleteProfile = () => {
+    storeProfiles(profiles.filter(p => p.name !== activeProfileName));
+    if (selectionProfile.current && selectionProfile.current.name === activeProfileName) {
+      selectionProfile.current = null;
+    }
+    setActiveProfileName('');
+  };
+
+  const handleExportProfiles = () => {
+    const url = URL.createObjectURL(new Blob([profilesToJson(profiles)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'AccuraRate_Profiles.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportProfiles = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const imported = profilesFromJson(await file.text());
+      storeProfiles(mergeProfiles(profiles, imported));
+      setError('');
+    } catch (err) {
+      setError(`Could not import profiles: ${err.message}`);
+    }
+  };
+
+  // `key` is a version id or 'compare'.
+  const handleCancel = (key) => {
+    if (jobs.current[key]) jobs.current[key].cancel();
+  };
+
+  const handleAddVersion = () => {
+    setVersions(prev => [...prev, emptyVersion(Math.max(...prev.map(v => v.id)) + 1)]);
+  };
+
+  const handleRemoveVersion = (id) => {
+    if (jobs.current[id]) jobs.current[id].cancel();
+    setVersions(prev => prev.filter(v => v.id !== id));
+    setComparisonResult([]);
+    setVersionMatrix(null);
+    setSuppressedCounts([]);
+  };
+
+  // Toggling a section applies to its whole bookmark subtree.
+  const handleSectionToggle = (key) => {
+    setSelectedSections(prev => {
+      const checked = !prev[key];
+      const next = { ...prev };
+      subtreeKeys(combinedSections, key).forEach(k => {
+        next[k] = checked;
+      });
+      return next;
+    });
+  };
+
+  const handleCollapseToggle = (key) => {
+    setCollapsedSections(prev => ({ ...prev, [key]: !prev[key] }));
+  };
+
+  const handleRepair = (pairKey, value) => {
+    const oldIndex = value === '' ? null : Number(value);
+    const pairs = repairSection(combinedSections, oldPdfSections, newPdfSections, pairKey, oldIndex);
+    setCombinedSections(pairs);
+    setSelectedSections(prev => pairs.reduce((acc, pair) => {
+      acc[pair.key] = prev[pair.key] ?? true;
+      return acc;
+    }, {}));
+    setRepairingKey(null);
+  };
+
+  const handleCompare = async () => {
     setIsLoading(true);
+    setCompareProgress(null);
     setError('');
-    const results = [];
-    
-    combinedSections.forEach(title => {
-      if (!selectedSections[title]) return;
+    const job = runWorkerJob('compare', {
+      pairs: combinedSections.filter(pair => selectedSections[pair.key]),
+      versions: loadedVersions.map(v => ({
+        sections: sectionsOf(v),
+        runningLines: stripHeaders ? detectRunningText(v.parsed).lineIds : [],
+        locale: localeOf(v),
+      })),
+      baselineIndex: loadedVersions.indexOf(baseline),
+      targetIndex: loadedVersions.indexOf(target),
+      options: {
+        tableAware,
+        onlyNumeric,
+        showWithinTolerance,
+        tolerance: {
+          absolute: parseFloat(tolerance.absolute) || 0,
+          relative: parseFloat(tolerance.relative) || 0
+        },
+        ignoreRules,
+        stripRunningText: stripHeaders,
+        alignPagesByContent: pagesOnly(loadedVersions),
+      },
+    }, { onProgress: setCompareProgress });
+    jobs.current.compare = job;
 
-      const oldSection = oldPdfSections.find(s => s.title === title);
-      const newSection = newPdfSections.find(s => s.title === title);
+    try {
+      const { results, matrix, suppressed } = await job.promise;
+      setComparisonResult(results);
+      setSuppressedCounts(suppressed);
+      setViewerFocus(null);
+      setVersionMatrix(matrix);
+      if (!matrix) setResultsView('differences');
+    } catch (err) {
+      // A cancelled comparison leaves the previous results in place.
+      if (!err.cancelled) {
+        console.error("Comparison Error:", err);
+        setError(`Comparison failed: ${err.message}`);
+      }
+    } finally {
+      delete jobs.current.compare;
+      setIsLoading(false);
+      setCompareProgress(null);
+    }
+  };
 
-      let oldText = oldSection ? oldSection.text : '';
-      let newText = newSection ? newSection.text : '';
+  // Page sections are named after their page; heading sections also show
+  // their heading.
+  const alignedLabel = (section) => (section.title === `Page ${section.startPage}`
+    ? `p. ${section.startPage}`
+    : `p. ${section.startPage} ${section.title}`);
 
-      if (onlyNumeric) {
-        oldText = extractNumerics(oldText);
-        newText = extractNumerics(newText);
-      }
-      
-      const differences = diff.diffLines(oldText.trim(), newText.trim(), { newlineIsToken: true, ignoreWhitespace: true });
-      const changes = differences.filter(part => part.added || part.removed);
-      
-      if (changes.length > 0) {
-        results.push({ title, changes });
-      }
-    });
+  const pageAlignmentStatus = (pair) => {
+    if (pair.method === 'unmatched') return pair.newIndex !== null ? 'inserted' : 'deleted';
+    if (pair.method === 'page') return `${Math.round(pair.score * 100)}% similar`;
+    return pair.method;
+  };
+
+  // Marks sections whose text came from OCR with the confidence of the less
+  // certain side. Anything below 90% is worth checking against the scan.
+  const ocrBadge = (pair) => {
+    const sides = [
+      pair.oldIndex !== null ? oldPdfSections[pair.oldIndex]?.ocr : null,
+      pair.newIndex !== null ? newPdfSections[pair.newIndex]?.ocr : null,
+    ].filter(Boolean);
+    if (sides.length === 0) return null;
+    const confidence = Math.min(...sides.map(ocr => ocr.confidence));
+    const pages = [...new Set(sides.flatMap(ocr => ocr.pages))].sort((x, y) => x - y);
+    const color = confidence >= 90 ? '#2f855a' : confidence >= 70 ? '#b7791f' : '#c53030';
+    return (
+      <span
+        style={styles.pairBadge(color)}
+        title={`Text on page(s) ${pages.join(', ')} was read with OCR. Double-check it against the scan.`}
+      >
+        OCR {confidence}%
+      </span>
+    );
+  };
+
+  const highlights = useMemo(() => collectHighlights(comparisonResult), [comparisonResult]);
 
-    setComparisonResult(results);
-    setIsLoading(false);
+  const focusDifference = (anchors) => {
+    setViewerFocus(anchors);
+    setShowViewer(true);
+  };
+
+  const showMovedLine = (resultKey, changes, partIndex, lineIndex) => {
+    const moved = movedLine(changes, partIndex, lineIndex);
+    const element = resultLines.current[`${resultKey}|${moved.part}|${moved.line}`];
+    if (element) element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    focusDifference(textAnchors(changes, partIndex, lineIndex));
   };
 
   const handleExport = () => {
-    const exportData = [];
-    comparisonResult.forEach(({ title, changes }) => {
-      let i = 0;
-      while (i < changes.length) {
-        const current = changes[i];
-        const next = (i + 1 < changes.length) ? changes[i + 1] : null;
-
-        let row = {
-          'Section Title': title,
-          'Old Value': '',
-          'New Value': '',
-          'Difference Type': onlyNumeric ? 'Numeric' : 'Textual'
-        };
-
-        if (current.removed && next && next.added) {
-          row['Old Value'] = current.value.trim();
-          row['New Value'] = next.value.trim();
-          i += 2;
-        } else if (current.removed) {
-          row['Old Value'] = current.value.trim();
-          i++;
-        } else if (current.added) {
-          row['New Value'] = current.value.trim();
-          i++;
-        } else {
-          i++;
-        }
-        exportData.push(row);
-      }
-    });
+    const exportData = buildExportRows(comparisonResult, { oldLocale: localeOf(baseline), newLocale: localeOf(target) });
     
-    if (exportData.length > 0) {
-        const worksheet = XLSX.utils.json_to_sheet(exportData);
+    const hasMatrix = versionMatrix && versionMatrix.length > 0;
+    if (exportData.length > 0 || hasMatrix) {
         const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, "Differences");
+        if (exportData.length > 0) {
+          XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(exportData), "Differences");
+        }
+        if (hasMatrix) {
+          const matrixData = versionMatrix.flatMap(section => section.rows.map(row => {
+            const entry = { 'Section Title': section.title, 'Value': row.label };
+            loadedVersions.forEach((version, i) => {
+              entry[versionLabel(version)] = row.values[i];
+            });
+            entry['Changed In'] = row.changed
+              .map((changed, i) => (changed ? `V${versions.indexOf(loadedVersions[i]) + 1}` : null))
+              .filter(Boolean)
+              .join(', ');
+            return entry;
+          }));
+          XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(matrixData), "Version Matrix");
+        }
         XLSX.writeFile(workbook, "Rate_Comparison_Report.xlsx");
     } else {
         setError("No differences to export.");
@@ -444,11 +635,140 @@ function App() {
       borderBottom: '1px solid #e2e8f0',
       fontSize: '0.9rem',
     },
+    treeToggle: {
+      width: '1.1rem',
+      flexShrink: 0,
+      background: 'none',
+      border: 'none',
+      padding: 0,
+      color: '#718096',
+      cursor: 'pointer',
+      textAlign: 'left',
+    },
+    versionHeader: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: '0.5rem',
+    },
+    versionLabel: {
+      fontWeight: '500',
+      color: '#4a5568',
+      fontSize: '0.9rem',
+    },
+    versionSelect: {
+      maxWidth: '220px',
+      padding: '0.25rem 0.5rem',
+      border: '1px solid #cbd5e0',
+      borderRadius: '4px',
+      fontSize: '0.85rem',
+    },
+    pairBadge: (color) => ({
+      fontSize: '0.7rem',
+      fontWeight: '600',
+      color: color,
+      border: `1px solid ${color}`,
+      borderRadius: '4px',
+      padding: '0 0.3rem',
+      whiteSpace: 'nowrap',
+    }),
+    pairNote: {
+      fontSize: '0.75rem',
+      color: '#718096',
+      overflow: 'hidden',
+      textOverflow: 'ellipsis',
+      whiteSpace: 'nowrap',
+    },
+    pairSelect: {
+      width: '100%',
+      marginTop: '0.25rem',
+      fontSize: '0.8rem',
+      padding: '0.15rem',
+      border: '1px solid #cbd5e0',
+      borderRadius: '4px',
+    },
+    optionsPanel: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.5rem',
+      padding: '0.75rem',
+      marginBottom: '1rem',
+      background: '#f7fafc',
+      border: '1px solid #e2e8f0',
+      borderRadius: '6px',
+      fontSize: '0.85rem',
+    },
+    suppressedSummary: {
+      marginBottom: '0.75rem',
+      fontSize: '0.8rem',
+      color: '#718096',
+    },
+    ruleItem: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '0.5rem',
+    },
+    passwordForm: {
+      marginTop: '0.5rem',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.35rem',
+    },
+    passwordInput: {
+      flex: 1,
+      padding: '0.35rem 0.5rem',
+      border: '1px solid #cbd5e0',
+      borderRadius: '4px',
+      fontSize: '0.85rem',
+    },
+    unlockButton: {
+      padding: '0.35rem 0.75rem',
+      background: '#3182ce',
+      color: 'white',
+      border: 'none',
+      borderRadius: '4px',
+      fontSize: '0.85rem',
+      cursor: 'pointer',
+    },
+    passwordError: {
+      fontSize: '0.75rem',
+      color: '#c53030',
+    },
+    linkButton: {
+      background: 'none',
+      border: 'none',
+      padding: 0,
+      color: '#3182ce',
+      fontSize: '0.75rem',
+      cursor: 'pointer',
+    },
     checkbox: {
       marginRight: '0.75rem',
       width: '16px',
       height: '16px',
     },
+    toleranceGroup: {
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '0.5rem',
+      margin: '0.5rem 0 0.5rem 1.75rem',
+    },
+    toleranceLabel: {
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      gap: '0.5rem',
+      fontSize: '0.85rem',
+      color: '#4a5568',
+    },
+    toleranceInput: {
+      width: '90px',
+      padding: '0.25rem 0.5rem',
+      border: '1px solid #cbd5e0',
+      borderRadius: '4px',
+      fontSize: '0.85rem',
+    },
     compareButton: {
       width: '100%',
       padding: '0.75rem',
@@ -461,6 +781,19 @@ function App() {
       cursor: 'pointer',
       transition: 'background-color 0.2s ease',
     },
+    progressTrack: {
+      height: '4px',
+      marginTop: '0.5rem',
+      background: '#e2e8f0',
+      borderRadius: '2px',
+      overflow: 'hidden',
+    },
+    progressBar: (fraction) => ({
+      width: `${Math.round(fraction * 100)}%`,
+      height: '100%',
+      background: '#3182ce',
+      transition: 'width 0.2s ease',
+    }),
     resultsHeader: {
       display: 'flex',
       justifyContent: 'space-between',
@@ -485,6 +818,21 @@ function App() {
       fontSize: '0.9rem',
       transition: 'background-color 0.2s ease',
     },
+    viewerButton: {
+      padding: '0.5rem 1rem',
+      background: '#ffffff',
+      color: '#2c5282',
+      border: '1px solid #2c5282',
+      borderRadius: '6px',
+      fontWeight: '500',
+      cursor: 'pointer',
+      fontSize: '0.9rem',
+    },
+    resultsTabs: {
+      display: 'flex',
+      gap: '0.25rem',
+      marginBottom: '1rem',
+    },
     resultsContainer: {
       maxHeight: 'calc(100vh - 250px)',
       overflowY: 'auto',
@@ -515,6 +863,36 @@ function App() {
       borderLeft: '3px solid #48bb78',
       paddingLeft: '0.5rem',
     },
+    inlineAdded: {
+      backgroundColor: '#9ae6b4',
+      borderRadius: '2px',
+    },
+    inlineRemoved: {
+      backgroundColor: '#feb2b2',
+      textDecoration: 'line-through',
+      borderRadius: '2px',
+    },
+    diffMoved: {
+      backgroundColor: '#ebf8ff',
+      color: '#2c5282',
+    },
+    unitTag: {
+      marginLeft: '0.5rem',
+      fontSize: '0.7rem',
+      color: '#6b46c1',
+      fontWeight: '500',
+      whiteSpace: 'nowrap',
+    },
+    movedLink: {
+      marginLeft: 'auto',
+      paddingLeft: '0.75rem',
+      background: 'none',
+      border: 'none',
+      color: '#3182ce',
+      cursor: 'pointer',
+      fontSize: '0.8rem',
+      whiteSpace: 'nowrap',
+    },
     diffRemoved: {
       backgroundColor: '#fff5f5',
       borderLeft: '3px solid #f56565',
@@ -598,39 +976,106 @@ const HomePage = () => (
               <h3 style={styles.stepTitle}>Upload Documents</h3>
             </div>
             
-            <div style={{ marginBottom: '1rem' }}>
-              <label style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem', color: '#4a5568', fontSize: '0.9rem' }}>
-                New Version (e.g., 2025 Rates)
-              </label>
-              <div style={styles.fileInputContainer}>
-                <span style={styles.fileName}>{newPdfName || 'No file chosen...'}</span>
-                <input
-                  type="file"
-                  accept=".pdf"
-                  onChange={(e) => handleFileChange(e, 'new')}
-                  style={styles.fileInput}
-                  id="new-file-input"
-                />
-                <label htmlFor="new-file-input" style={styles.fileInputLabel}>Browse</label>
+            {versions.map((version, index) => (
+              <div key={version.id} style={{ marginBottom: '1rem' }}>
+                <div style={styles.versionHeader}>
+                  <label htmlFor={`version-file-input-${version.id}`} style={styles.versionLabel}>
+                    Version {index + 1}{versions.length === 2 ? (index === 0 ? ' – Old (e.g., 2024 Rates)' : ' – New (e.g., 2025 Rates)') : ''}
+                  </label>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                    {version.status === 'parsing' && (
+                      <>
+                        <span style={{ fontSize: '0.75rem', color: '#718096' }}>
+                          {version.progress ? `Page ${version.progress.done} of ${version.progress.total}` : 'Parsing...'}
+                          {version.progress && version.progress.ocrPages > 0 && ` (OCR: ${version.progress.ocrPages})`}
+                        </span>
+                        <button onClick={() => handleCancel(version.id)} style={styles.linkButton}>Cancel</button>
+                      </>
+                    )}
+                    {version === baseline && target && <span style={styles.pairBadge('#2c5282')}>Baseline</span>}
+                    {version === target && <span style={styles.pairBadge('#2f855a')}>Compared</span>}
+                    {versions.length > 2 && (
+                      <button onClick={() => handleRemoveVersion(version.id)} style={styles.linkButton}>Remove</button>
+                    )}
+                  </div>
+                </div>
+                <div style={styles.fileInputContainer}>
+                  <span style={styles.fileName}>{version.name || 'No file chosen...'}</span>
+                  <input
+                    type="file"
+                    accept=".pdf"
+                    onChange={(e) => handleFileChange(e, version.id)}
+                    style={styles.fileInput}
+                    id={`version-file-input-${version.id}`}
+                  />
+                  <label htmlFor={`version-file-input-${version.id}`} style={styles.fileInputLabel}>Browse</label>
+                </div>
+                {version.status === 'ready' && (
+                  <label style={{ ...styles.toleranceLabel, marginTop: '0.35rem' }}>
+                    Number format
+                    <select
+                      value={version.locale}
+                      onChange={(e) => handleLocaleChange(version.id, e.target.value)}
+                      style={styles.versionSelect}
+                    >
+                      <option value="auto">Auto ({NUMBER_LOCALES[documentLocale(version.parsed)].label})</option>
+                      {Object.entries(NUMBER_LOCALES).map(([key, locale]) => (
+                        <option key={key} value={key}>{locale.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                {version.status === 'locked' && (
+                  <form
+                    onSubmit={(e) => { e.preventDefault(); handleUnlock(version); }}
+                    style={styles.passwordForm}
+                  >
+                    <div style={styles.pairNote}>This PDF is password-protected.</div>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <input
+                        type="password"
+                        value={passwordInputs[version.id] || ''}
+                        onChange={(e) => setPasswordInputs(prev => ({ ...prev, [version.id]: e.target.value }))}
+                        placeholder="Password"
+                        autoComplete="off"
+                        style={styles.passwordInput}
+                      />
+                      <button type="submit" disabled={!passwordInputs[version.id]} style={styles.unlockButton}>Unlock</button>
+                    </div>
+                    {version.passwordError && <div style={styles.passwordError}>{version.passwordError}</div>}
+                  </form>
+                )}
               </div>
-            </div>
+            ))}
 
-            <div>
-              <label style={{ display: 'block', fontWeight: '500', marginBottom: '0.5rem', color: '#4a5568', fontSize: '0.9rem' }}>
-                Old Version (e.g., 2024 Rates)
-              </label>
-              <div style={styles.fileInputContainer}>
-                <span style={styles.fileName}>{oldPdfName || 'No file chosen...'}</span>
-                <input
-                  type="file"
-                  accept=".pdf"
-                  onChange={(e) => handleFileChange(e, 'old')}
-                  style={styles.fileInput}
-                  id="old-file-input"
-                />
-                 <label htmlFor="old-file-input" style={styles.fileInputLabel}>Browse</label>
+            <button onClick={handleAddVersion} style={styles.linkButton}>+ Add another version</button>
+
+            {loadedVersions.length > 2 && baseline && target && (
+              <div style={{ marginTop: '1rem', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <label style={styles.toleranceLabel}>
+                  Baseline
+                  <select
+                    value={baseline.id}
+                    onChange={(e) => setBaselineId(Number(e.target.value))}
+                    style={styles.versionSelect}
+                  >
+                    {loadedVersions.map(v => <option key={v.id} value={v.id}>{versionLabel(v)}</option>)}
+                  </select>
+                </label>
+                <label style={styles.toleranceLabel}>
+                  Compare against
+                  <select
+                    value={target.id}
+                    onChange={(e) => setTargetId(Number(e.target.value))}
+                    style={styles.versionSelect}
+                  >
+                    {loadedVersions.filter(v => v !== baseline).map(v => (
+                      <option key={v.id} value={v.id}>{versionLabel(v)}</option>
+                    ))}
+                  </select>
+                </label>
               </div>
-            </div>
+            )}
           </div>
 
           {/* Step 2: Select Sections */}
@@ -642,22 +1087,174 @@ const HomePage = () => (
 
             {fallbackMessage && <div style={styles.warning}>{fallbackMessage}</div>}
 
-            {isLoading && !combinedSections.length ? (
+            <button onClick={() => setShowDefinitions(prev => !prev)} style={{ ...styles.linkButton, marginBottom: '0.75rem' }}>
+              {showDefinitions ? 'Hide section definitions' : 'Define sections'}
+              {sectionDefinitions.rules.length > 0 && ` (${sectionDefinitions.rules.length})`}
+            </button>
+            {pageAligned && combinedSections.length > 0 && (
+              <button onClick={() => setShowPageMap(prev => !prev)} style={{ ...styles.linkButton, marginBottom: '0.75rem', marginLeft: '1rem' }}>
+                {showPageMap ? 'Hide page alignment' : 'Show page alignment'}
+              </button>
+            )}
+            {showDefinitions && (
+              <div style={styles.optionsPanel}>
+                <label style={styles.toleranceLabel}>
+                  Defined sections
+                  <select
+                    value={sectionDefinitions.mode}
+                    onChange={(e) => {
+                      const mode = e.target.value;
+                      setSectionDefinitions(prev => ({ ...prev, mode }));
+                      setComparisonResult([]);
+                      setVersionMatrix(null);
+                      setSuppressedCounts([]);
+                    }}
+                    style={styles.versionSelect}
+                  >
+                    <option value="add">Add to bookmarks</option>
+                    <option value="replace">Replace bookmarks</option>
+                  </select>
+                </label>
+                {sectionDefinitions.rules.map((rule, i) => (
+                  <div key={i} style={styles.ruleItem}>
+                    <span>{describeRule(rule)}</span>
+                    <button onClick={() => handleRemoveRule(i)} style={styles.linkButton}>Remove</button>
+                  </div>
+                ))}
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                  <select
+                    value={ruleDraft.type}
+                    onChange={(e) => setRuleDraft({ ...emptyRuleDraft, type: e.target.value })}
+                    style={styles.versionSelect}
+                  >
+                    <option value="pages">Page range</option>
+                    <option value="heading">Heading pattern</option>
+                  </select>
+                  {ruleDraft.type === 'pages' ? (
+                    <>
+                      <input
+                        type="text"
+                        value={ruleDraft.title}
+                        onChange={(e) => setRuleDraft(prev => ({ ...prev, title: e.target.value }))}
+                        placeholder="Title"
+                        style={{ ...styles.toleranceInput, width: '120px' }}
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={ruleDraft.from}
+                        onChange={(e) => setRuleDraft(prev => ({ ...prev, from: e.target.value }))}
+                        placeholder="From"
+                        style={{ ...styles.toleranceInput, width: '65px' }}
+                      />
+                      <input
+                        type="number"
+                        min="1"
+                        value={ruleDraft.to}
+                        onChange={(e) => setRuleDraft(prev => ({ ...prev, to: e.target.value }))}
+                        placeholder="To"
+                        style={{ ...styles.toleranceInput, width: '65px' }}
+                      />
+                    </>
+                  ) : (
+                    <input
+                      type="text"
+                      value={ruleDraft.pattern}
+                      onChange={(e) => setRuleDraft(prev => ({ ...prev, pattern: e.target.value }))}
+                      placeholder="e.g. ^Exhibit \d+"
+                      style={{ ...styles.toleranceInput, width: '180px' }}
+                    />
+                  )}
+                  <button onClick={handleAddRule} disabled={!draftValid} style={styles.unlockButton}>Add</button>
+                </div>
+                {ruleDraft.type === 'heading' && ruleDraft.pattern && !draftPattern && (
+                  <div style={styles.passwordError}>Not a valid regular expression.</div>
+                )}
+                <div style={styles.pairNote}>
+                  Heading patterns are regular expressions matched against each line, ignoring case. Each match starts a new section.
+                </div>
+              </div>
+            )}
+
+            {pageAligned && showPageMap && (
+              <div style={styles.optionsPanel}>
+                {combinedSections.map(pair => (
+                  <div key={pair.key} style={styles.ruleItem}>
+                    <span>
+                      {pair.oldIndex !== null ? `Old ${alignedLabel(oldPdfSections[pair.oldIndex])}` : '—'}
+                      {' → '}
+                      {pair.newIndex !== null ? `New ${alignedLabel(newPdfSections[pair.newIndex])}` : '—'}
+                    </span>
+                    <span style={styles.pairNote}>{pageAlignmentStatus(pair)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {(isParsing || isAligning) && !combinedSections.length ? (
               <div style={styles.loading}>
                 <div style={styles.spinner}></div>
-                <span style={{ marginLeft: '0.75rem' }}>Parsing PDFs...</span>
+                <span style={{ marginLeft: '0.75rem' }}>{isParsing ? 'Parsing PDFs...' : 'Aligning pages by content...'}</span>
               </div>
             ) : combinedSections.length > 0 ? (
               <div style={styles.sectionsList}>
-                {combinedSections.map(title => (
-                  <div key={title} style={styles.sectionItem}>
+                {visibleTree(combinedSections, collapsedSections).map(({ pair, hasChildren }) => (
+                  <div key={pair.key} style={{ ...styles.sectionItem, paddingLeft: `${0.8 + pair.level * 1.1}rem` }}>
+                    {hasChildren ? (
+                      <button
+                        onClick={() => handleCollapseToggle(pair.key)}
+                        style={styles.treeToggle}
+                        aria-label={collapsedSections[pair.key] ? 'Expand' : 'Collapse'}
+                      >
+                        {collapsedSections[pair.key] ? '▸' : '▾'}
+                      </button>
+                    ) : (
+                      <span style={styles.treeToggle} />
+                    )}
                     <input
                       type="checkbox"
-                      checked={selectedSections[title] || false}
-                      onChange={() => handleSectionToggle(title)}
+                      checked={selectedSections[pair.key] || false}
+                      onChange={() => handleSectionToggle(pair.key)}
                       style={styles.checkbox}
                     />
-                    <span>{title}</span>
+                    <div style={{ flex: 1, minWidth: 0 }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                        <span>{pair.title}</span>
+                        {pair.method === 'fuzzy' && (
+                          <span style={styles.pairBadge('#b7791f')}>~{Math.round(pair.score * 100)}%</span>
+                        )}
+                        {pair.method === 'moved' && <span style={styles.pairBadge('#dd6b20')}>moved</span>}
+                        {pair.method === 'manual' && <span style={styles.pairBadge('#3182ce')}>manual</span>}
+                        {pair.method === 'unmatched' && (
+                          <span style={styles.pairBadge('#a0aec0')}>{pair.newIndex !== null ? 'new only' : 'old only'}</span>
+                        )}
+                        {ocrBadge(pair)}
+                        {(pair.newIndex !== null ? newPdfSections[pair.newIndex] : oldPdfSections[pair.oldIndex]).userDefined && (
+                          <span style={styles.pairBadge('#6b46c1')}>defined</span>
+                        )}
+                      </div>
+                      {pair.oldTitle && pair.newTitle && pair.oldTitle !== pair.newTitle && (
+                        <div style={styles.pairNote}>Old: {pair.oldTitle}</div>
+                      )}
+                      {pair.newIndex !== null && (repairingKey === pair.key ? (
+                        <select
+                          value={pair.oldIndex ?? ''}
+                          onChange={(e) => handleRepair(pair.key, e.target.value)}
+                          onBlur={() => setRepairingKey(null)}
+                          autoFocus
+                          style={styles.pairSelect}
+                        >
+                          <option value="">No match in old version</option>
+                          {oldPdfSections.map((section, i) => (
+                            <option key={section.id} value={i}>
+                              {section.path.join(' › ')} (p. {section.startPage})
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        <button onClick={() => setRepairingKey(pair.key)} style={styles.linkButton}>Re-pair</button>
+                      ))}
+                    </div>
                   </div>
                 ))}
               </div>
@@ -674,7 +1271,63 @@ const HomePage = () => (
               <div style={styles.stepNumber('#2f855a')}>3</div>
               <h3 style={styles.stepTitle}>Compare</h3>
             </div>
-            
+
+            <div style={styles.optionsPanel}>
+              <label style={styles.toleranceLabel}>
+                Profile
+                <select
+                  value={activeProfileName}
+                  onChange={(e) => handleApplyProfile(e.target.value)}
+                  style={styles.versionSelect}
+                >
+                  <option value="">None</option>
+                  {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+                </select>
+              </label>
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                {activeProfileName && (
+                  <button onClick={handleDeleteProfile} style={styles.linkButton}>Delete</button>
+                )}
+                <button onClick={handleExportProfiles} disabled={profiles.length === 0} style={styles.linkButton}>
+                  Export profiles
+                </button>
+                <label htmlFor="profile-import-input" style={{ ...styles.linkButton, margin: 0 }}>Import profiles</label>
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={handleImportProfiles}
+                  style={styles.fileInput}
+                  id="profile-import-input"
+                />
+              </div>
+              <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <input
+                  type="text"
+                  value={profileDraft.name}
+                  onChange={(e) => setProfileDraft(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="Profile name"
+                  style={{ ...styles.toleranceInput, width: '130px' }}
+                />
+                <input
+                  type="text"
+                  value={profileDraft.pattern}
+                  onChange={(e) => setProfileDraft(prev => ({ ...prev, pattern: e.target.value }))}
+                  placeholder="Sections regex (optional)"
+                  style={{ ...styles.toleranceInput, width: '170px' }}
+                />
+                <button
+                  onClick={handleSaveProfile}
+                  disabled={!profileDraft.name.trim() || (profileDraft.pattern !== '' && !compilePattern(profileDraft.pattern))}
+                  style={styles.unlockButton}
+                >
+                  Save
+                </button>
+              </div>
+              <div style={styles.pairNote}>
+                Saves the options below and the selected sections (or those whose title matches the regex).
+              </div>
+            </div>
+
             <div style={{ marginBottom: '1rem' }}>
               <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', fontSize: '0.95rem' }}>
                 <input
@@ -685,19 +1338,163 @@ const HomePage = () => (
                 />
                 Compare only numeric values
               </label>
+              {onlyNumeric && (
+                <div style={styles.toleranceGroup}>
+                  <label style={styles.toleranceLabel}>
+                    Absolute tolerance
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={tolerance.absolute}
+                      onChange={(e) => setTolerance(prev => ({ ...prev, absolute: e.target.value }))}
+                      style={styles.toleranceInput}
+                    />
+                  </label>
+                  <label style={styles.toleranceLabel}>
+                    Relative tolerance (%)
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={tolerance.relative}
+                      onChange={(e) => setTolerance(prev => ({ ...prev, relative: e.target.value }))}
+                      style={styles.toleranceInput}
+                    />
+                  </label>
+                  <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', fontSize: '0.85rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={showWithinTolerance}
+                      onChange={(e) => setShowWithinTolerance(e.target.checked)}
+                      style={styles.checkbox}
+                    />
+                    Show differences within tolerance
+                  </label>
+                </div>
+              )}
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', fontSize: '0.95rem', marginTop: '0.5rem' }}>
+                <input
+                  type="checkbox"
+                  checked={tableAware}
+                  onChange={(e) => setTableAware(e.target.checked)}
+                  style={styles.checkbox}
+                />
+                Table-aware extraction (rows &amp; columns)
+              </label>
+              <label style={{ ...styles.toleranceLabel, marginTop: '0.5rem', fontSize: '0.95rem', color: 'inherit' }}>
+                Highlight changes within lines
+                <select
+                  value={inlineMode}
+                  onChange={(e) => setInlineMode(e.target.value)}
+                  style={styles.toleranceInput}
+                >
+                  <option value="off">Off</option>
+                  <option value="words">Words</option>
+                  <option value="chars">Characters</option>
+                </select>
+              </label>
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer', fontSize: '0.95rem', marginTop: '0.5rem' }}>
+                <input
+                  type="checkbox"
+                  checked={stripHeaders}
+                  onChange={(e) => setStripHeaders(e.target.checked)}
+                  style={styles.checkbox}
+                />
+                Strip running headers &amp; footers
+              </label>
+              {stripHeaders && (
+                <div style={styles.toleranceGroup}>
+                  {loadedVersions.map(version => {
+                    const { entries } = detectRunningText(version.parsed);
+                    return (
+                      <div key={version.id}>
+                        <strong>{versionLabel(version)}</strong>
+                        {entries.length === 0 ? (
+                          <div style={styles.pairNote}>Nothing repeats in the page margins.</div>
+                        ) : entries.map((entry, i) => (
+                          <div key={i} style={styles.pairNote} title={entry.text}>
+                            {entry.band === 'header' ? 'Header' : 'Footer'}: “{entry.text}” ({entry.pageCount} of {version.parsed.pages.length} pages)
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <button onClick={() => setShowIgnoreRules(prev => !prev)} style={{ ...styles.linkButton, marginTop: '0.5rem' }}>
+                {showIgnoreRules ? 'Hide ignore rules' : 'Ignore rules'}
+                {ignoreRules.some(rule => rule.enabled) && ` (${ignoreRules.filter(rule => rule.enabled).length} on)`}
+              </button>
             </div>
+
+            {showIgnoreRules && (
+              <div style={styles.optionsPanel}>
+                {ignoreRules.map((rule, i) => (
+                  <div key={i} style={styles.ruleItem}>
+                    <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }} title={rule.pattern}>
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={() => handleToggleIgnoreRule(i)}
+                        style={styles.checkbox}
+                      />
+                      {rule.label}
+                    </label>
+                    {!rule.id && (
+                      <button onClick={() => handleRemoveIgnoreRule(i)} style={styles.linkButton}>Remove</button>
+                    )}
+                  </div>
+                ))}
+                <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'center' }}>
+                  <input
+                    type="text"
+                    value={ignoreDraft.label}
+                    onChange={(e) => setIgnoreDraft(prev => ({ ...prev, label: e.target.value }))}
+                    placeholder="Label"
+                    style={{ ...styles.toleranceInput, width: '110px' }}
+                  />
+                  <input
+                    type="text"
+                    value={ignoreDraft.pattern}
+                    onChange={(e) => setIgnoreDraft(prev => ({ ...prev, pattern: e.target.value }))}
+                    placeholder="e.g. Filed \d+/\d+"
+                    style={{ ...styles.toleranceInput, width: '170px' }}
+                  />
+                  <button onClick={handleAddIgnoreRule} disabled={!ignoreDraftValid} style={styles.unlockButton}>Add</button>
+                </div>
+                {ignoreDraft.pattern && !ignoreDraftValid && (
+                  <div style={styles.passwordError}>Not a usable regular expression.</div>
+                )}
+                <div style={styles.pairNote}>
+                  Matching text is removed, ignoring case, before numbers are extracted and lines are diffed.
+                </div>
+              </div>
+            )}
             
             <button
               onClick={handleCompare}
-              disabled={isLoading || !oldPdf || !newPdf}
+              disabled={isLoading || isParsing || isAligning || !oldPdf || !newPdf}
               style={{
                 ...styles.compareButton,
-                opacity: (isLoading || !oldPdf || !newPdf) ? 0.6 : 1,
-                cursor: (isLoading || !oldPdf || !newPdf) ? 'not-allowed' : 'pointer'
+                opacity: (isLoading || isParsing || isAligning || !oldPdf || !newPdf) ? 0.6 : 1,
+                cursor: (isLoading || isParsing || isAligning || !oldPdf || !newPdf) ? 'not-allowed' : 'pointer'
               }}
             >
-              {isLoading ? 'Comparing...' : 'Compare Selected Sections'}
+              {!isLoading ? 'Compare Selected Sections'
+                : compareProgress ? `Comparing section ${compareProgress.done} of ${compareProgress.total}...`
+                : 'Comparing...'}
             </button>
+            {isLoading && (
+              <div style={styles.progressTrack}>
+                <div style={styles.progressBar(compareProgress ? compareProgress.done / compareProgress.total : 0)}></div>
+              </div>
+            )}
+            {isLoading && (
+              <button onClick={() => handleCancel('compare')} style={{ ...styles.linkButton, marginTop: '0.5rem' }}>
+                Cancel comparison
+              </button>
+            )}
           </div>
         </div>
 
@@ -705,33 +1502,138 @@ const HomePage = () => (
         <div style={styles.card}>
           <div style={styles.resultsHeader}>
             <h3 style={styles.resultsTitle}>Comparison Results</h3>
-            <button
-              onClick={handleExport}
-              disabled={comparisonResult.length === 0}
-              style={{
-                ...styles.exportButton,
-                opacity: comparisonResult.length === 0 ? 0.6 : 1,
-                cursor: comparisonResult.length === 0 ? 'not-allowed' : 'pointer'
-              }}
-            >
-              Export to Excel
-            </button>
+            <div style={{ display: 'flex', gap: '0.5rem' }}>
+              <button
+                onClick={() => setShowViewer(prev => !prev)}
+                disabled={comparisonResult.length === 0}
+                style={{
+                  ...styles.viewerButton,
+                  opacity: comparisonResult.length === 0 ? 0.6 : 1,
+                  cursor: comparisonResult.length === 0 ? 'not-allowed' : 'pointer'
+                }}
+              >
+                {showViewer ? 'Hide PDF View' : 'Show PDF View'}
+              </button>
+              <button
+                onClick={handleExport}
+                disabled={comparisonResult.length === 0 && !versionMatrix}
+                style={{
+                  ...styles.exportButton,
+                  opacity: comparisonResult.length === 0 && !versionMatrix ? 0.6 : 1,
+                  cursor: comparisonResult.length === 0 && !versionMatrix ? 'not-allowed' : 'pointer'
+                }}
+              >
+                Export to Excel
+              </button>
+            </div>
           </div>
 
-          {comparisonResult.length > 0 ? (
+          {showViewer && comparisonResult.length > 0 && (
+            <SideBySideViewer
+              oldFile={oldPdf}
+              newFile={newPdf}
+              oldPassword={baseline ? baseline.password : null}
+              newPassword={target ? target.password : null}
+              oldTitle={`Old: ${oldPdfName}`}
+              newTitle={`New: ${newPdfName}`}
+              highlights={highlights}
+              focus={viewerFocus}
+            />
+          )}
+
+          {suppressedCounts.length > 0 && (
+            <div style={styles.suppressedSummary}>
+              Ignored: {suppressedCounts.map(({ label, count }) => `${label} (${count})`).join(' · ')}
+            </div>
+          )}
+
+          {versionMatrix && (
+            <div style={styles.resultsTabs}>
+              <button
+                onClick={() => setResultsView('differences')}
+                style={styles.navButton(resultsView === 'differences')}
+              >
+                {baseline && target ? `${versionLabel(baseline)} → ${versionLabel(target)}` : 'Differences'}
+              </button>
+              <button
+                onClick={() => setResultsView('matrix')}
+                style={styles.navButton(resultsView === 'matrix')}
+              >
+                Version Matrix ({versionMatrix.length})
+              </button>
+            </div>
+          )}
+
+          {versionMatrix && resultsView === 'matrix' ? (
             <div style={styles.resultsContainer}>
-              {comparisonResult.map(({ title, changes }) => (
-                <div key={title} style={styles.resultItem}>
+              <VersionMatrix matrix={versionMatrix} versionNames={loadedVersions.map(versionLabel)} />
+            </div>
+          ) : comparisonResult.length > 0 ? (
+            <div style={{ ...styles.resultsContainer, maxHeight: showViewer ? '40vh' : styles.resultsContainer.maxHeight }}>
+              {comparisonResult.map(({ key, title, changes, tableDiff, numericPairs }) => (
+                <div key={key} style={styles.resultItem}>
                   <div style={styles.resultHeader}>{title}</div>
                   <div style={styles.resultContent}>
-                    {changes.map((part, index) => (
-                      <div key={index} style={part.added ? styles.diffAdded : part.removed ? styles.diffRemoved : {}}>
-                        {part.value.trim().split('\n').map((line, i) => (
-                          <div key={i} style={{ display: 'flex' }}>
-                            <span style={{ marginRight: '0.5rem', userSelect: 'none' }}>{part.added ? '+' : '-'}</span>
-                            <span>{line}</span>
-                          </div>
-                        ))}
+                    {tableDiff && (
+                      <TableDiffGrid
+                        tableDiff={tableDiff}
+                        onSelectCell={(row, columnIndex) => focusDifference(tableCellAnchors(tableDiff, row, columnIndex))}
+                      />
+                    )}
+                    {numericPairs && (
+                      <NumericDiffTable
+                        pairs={numericPairs}
+                        showWithinTolerance={showWithinTolerance}
+                        onSelect={(pair) => focusDifference({ old: pair.oldAnchor, new: pair.newAnchor })}
+                      />
+                    )}
+                    {changes && changes.map((part, index) => (
+                      <div
+                        key={index}
+                        style={part.added ? styles.diffAdded : { ...styles.diffRemoved, textDecoration: 'none' }}
+                      >
+                        {partLines(part).map((line, i) => {
+                          const segments = inlineMode !== 'off' ? inlineSegments(changes, index, i, inlineMode) : null;
+                          const moved = movedLine(changes, index, i);
+                          return (
+                            <div
+                              key={i}
+                              ref={(element) => { resultLines.current[`${key}|${index}|${i}`] = element; }}
+                              onClick={() => focusDifference(textAnchors(changes, index, i))}
+                              style={{
+                                display: 'flex',
+                                cursor: 'pointer',
+                                ...(moved ? styles.diffMoved
+                                  : part.removed && inlineMode === 'off' ? { textDecoration: 'line-through' } : {}),
+                              }}
+                            >
+                              <span style={{ marginRight: '0.5rem', userSelect: 'none' }}>{part.added ? '+' : '-'}</span>
+                              <span style={{ whiteSpace: 'pre-wrap' }}>
+                                {segments ? segments.map((segment, k) => (
+                                  <span
+                                    key={k}
+                                    style={segment.changed ? (part.added ? styles.inlineAdded : styles.inlineRemoved) : undefined}
+                                  >
+                                    {segment.text}
+                                  </span>
+                                )) : line.text}
+                              </span>
+                              {part.unitChanges && part.unitChanges[i] && <span style={styles.unitTag}>unit</span>}
+                              {moved && (
+                                <button
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    showMovedLine(key, changes, index, i);
+                                  }}
+                                  style={styles.movedLink}
+                                >
+                                  {part.removed ? 'moved to' : 'moved from'}
+                                  {moved.location ? ` p. ${moved.location.page}` : ''} {moved.part > index ? '↓' : '↑'}
+                                </button>
+                              )}
+                            </div>
+                          );
+                        })}
                       </div>
                     ))}
                   </div>
@@ -800,7 +1702,9 @@ const HomePage = () => (
         return <PrivacyPage />;
       case 'home':
       default:
-        return <HomePage />;
+        // Called rather than rendered as <HomePage />: it is redefined on every
+        // render, so React would remount it and inputs would lose focus.
+        return HomePage();
     }
   };
 
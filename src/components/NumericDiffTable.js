@@ -0,0 +1,106 @@
+import React from 'react';
+import { formatDelta } from '../utils/numericCompare';
+
+const styles = {
+  table: {
+    borderCollapse: 'collapse',
+    width: '100%',
+    fontSize: '0.8rem',
+  },
+  th: {
+    padding: '0.35rem 0.5rem',
+    borderBottom: '1px solid #e2e8f0',
+    background: '#f7fafc',
+    textAlign: 'right',
+  },
+  td: (status) => ({
+    padding: '0.3rem 0.5rem',
+    borderBottom: '1px solid #edf2f7',
+    textAlign: 'right',
+    color: status === 'tolerance' ? '#a0aec0' : '#2d3748',
+    background: {
+      added: '#f0fff4',
+      removed: '#fff5f5',
+      unit: '#faf5ff',
+    }[status] || 'transparent',
+  }),
+  status: (status) => ({
+    padding: '0.3rem 0.5rem',
+    borderBottom: '1px solid #edf2f7',
+    textAlign: 'left',
+    fontWeight: '500',
+    color: {
+      changed: '#b7791f',
+      added: '#2f855a',
+      removed: '#c53030',
+      unit: '#6b46c1',
+      tolerance: '#a0aec0',
+    }[status],
+  }),
+  unit: {
+    marginLeft: '0.3rem',
+    fontSize: '0.7rem',
+    color: '#6b46c1',
+  },
+  note: {
+    marginTop: '0.5rem',
+    fontSize: '0.75rem',
+    color: '#718096',
+  },
+};
+
+const statusLabels = {
+  changed: 'Changed',
+  added: 'Added',
+  removed: 'Removed',
+  unit: 'Unit changed',
+  tolerance: 'Within tolerance',
+};
+
+const NumericDiffTable = ({ pairs, showWithinTolerance, onSelect }) => {
+  const visible = showWithinTolerance ? pairs : pairs.filter(p => p.status !== 'tolerance');
+  const hidden = pairs.length - visible.length;
+  return (
+    <>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={{ ...styles.th, textAlign: 'left' }}>Status</th>
+            <th style={{ ...styles.th, textAlign: 'left' }}>Label</th>
+            <th style={styles.th}>Old</th>
+            <th style={styles.th}>New</th>
+            <th style={styles.th}>Delta</th>
+            <th style={styles.th}>% Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((pair, index) => (
+            <tr
+              key={index}
+              onClick={onSelect ? () => onSelect(pair) : undefined}
+              style={{ cursor: onSelect ? 'pointer' : 'default' }}
+            >
+              <td style={styles.status(pair.status)}>{statusLabels[pair.status]}</td>
+              <td style={{ ...styles.td(pair.status), textAlign: 'left' }}>{pair.label}</td>
+              <td style={styles.td(pair.status)}>
+                {pair.oldRaw}
+                {pair.status === 'unit' && <span style={styles.unit}>{pair.oldUnit}</span>}
+              </td>
+              <td style={styles.td(pair.status)}>
+                {pair.newRaw}
+                {pair.status === 'unit' && <span style={styles.unit}>{pair.newUnit}</span>}
+              </td>
+              <td style={styles.td(pair.status)}>{formatDelta(pair.delta)}</td>
+              <td style={styles.td(pair.status)}>{formatDelta(pair.pctChange, '%')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {hidden > 0 && (
+        <div style={styles.note}>{hidden} difference(s) within tolerance hidden.</div>
+      )}
+    </>
+  );
+};
+
+export default NumericDiffTable;
@@ -0,0 +1,161 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Document, Page, pdfjs } from 'react-pdf';
+
+// Served from the app bundle so the viewer works offline. react-pdf and the
+// top-level pdfjs-dist must be the same version for this to resolve to a
+// matching worker; `npm run check:pdf-worker` verifies that.
+pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+
+const highlightColors = {
+  added: 'rgba(72, 187, 120, 0.3)',
+  removed: 'rgba(245, 101, 101, 0.3)',
+  changed: 'rgba(236, 201, 75, 0.35)',
+  moved: 'rgba(49, 130, 206, 0.25)',
+  unit: 'rgba(128, 90, 213, 0.3)',
+};
+
+const styles = {
+  container: {
+    display: 'grid',
+    gridTemplateColumns: '1fr 1fr',
+    gap: '0.75rem',
+    marginBottom: '1rem',
+  },
+  paneHeader: {
+    fontSize: '0.85rem',
+    fontWeight: '600',
+    color: '#4a5568',
+    marginBottom: '0.35rem',
+  },
+  pane: {
+    position: 'relative',
+    height: '60vh',
+    overflowY: 'auto',
+    background: '#edf2f7',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    padding: '0.5rem',
+  },
+  page: {
+    position: 'relative',
+    marginBottom: '0.75rem',
+    boxShadow: '0 1px 4px rgba(0, 0, 0, 0.15)',
+    background: '#ffffff',
+  },
+  pageLabel: {
+    fontSize: '0.75rem',
+    color: '#718096',
+    margin: '0.25rem 0',
+  },
+  highlight: (kind, focused) => ({
+    position: 'absolute',
+    background: highlightColors[kind] || highlightColors.changed,
+    outline: focused ? '2px solid #2c5282' : 'none',
+    pointerEvents: 'none',
+  }),
+  empty: {
+    padding: '2rem 1rem',
+    textAlign: 'center',
+    color: '#a0aec0',
+    fontSize: '0.85rem',
+  },
+};
+
+// Padding around highlight boxes, in PDF units, so descenders are covered.
+const BOX_PADDING = 2;
+
+const sameAnchor = (a, b) => a && b && a.page === b.page && a.box.x === b.box.x && a.box.y === b.box.y;
+
+// Renders the pages of one document that carry differences, with boxes
+// drawn over the changed text. Coordinates from getTextContent are in PDF
+// user space, so they are scaled to the rendered width and flipped on y.
+// Encrypted files are opened with the password they were parsed with.
+const PdfPane = ({ file, password, title, highlights, focus }) => {
+  const containerRef = useRef(null);
+  const pageRefs = useRef({});
+  const pageSizes = useRef({});
+  const [width, setWidth] = useState(0);
+  const [sizes, setSizes] = useState({});
+
+  useEffect(() => {
+    if (containerRef.current) setWidth(containerRef.current.clientWidth - 20);
+  }, []);
+
+  const pages = [...new Set([
+    ...highlights.map(h => h.page),
+    ...(focus ? [focus.page] : []),
+  ])].sort((a, b) => a - b);
+
+  useEffect(() => {
+    if (!focus || !containerRef.current) return;
+    const pageElement = pageRefs.current[focus.page];
+    if (!pageElement) return;
+    const size = pageSizes.current[focus.page];
+    const offset = size ? (size.height - focus.box.y - focus.box.height) * (width / size.width) : 0;
+    containerRef.current.scrollTo({ top: pageElement.offsetTop + offset - 60, behavior: 'smooth' });
+  }, [focus, width]);
+
+  const handlePageLoad = (pageNumber, page) => {
+    pageSizes.current[pageNumber] = { width: page.originalWidth, height: page.originalHeight };
+    setSizes(prev => ({ ...prev, [pageNumber]: pageSizes.current[pageNumber] }));
+  };
+
+  return (
+    <div>
+      <div style={styles.paneHeader}>{title}</div>
+      <div ref={containerRef} style={styles.pane}>
+        {!file ? (
+          <div style={styles.empty}>No document loaded.</div>
+        ) : pages.length === 0 ? (
+          <div style={styles.empty}>No highlighted differences in this document.</div>
+        ) : width > 0 && (
+          <Document
+            file={file}
+            onPassword={(callback) => callback(password)}
+            loading={<div style={styles.empty}>Loading document...</div>}
+          >
+            {pages.map(pageNumber => {
+              const size = sizes[pageNumber];
+              const scale = size ? width / size.width : 0;
+              return (
+                <div key={pageNumber}>
+                  <div style={styles.pageLabel}>Page {pageNumber}</div>
+                  <div ref={el => { pageRefs.current[pageNumber] = el; }} style={styles.page}>
+                    <Page
+                      pageNumber={pageNumber}
+                      width={width}
+                      renderTextLayer={false}
+                      renderAnnotationLayer={false}
+                      onLoadSuccess={(page) => handlePageLoad(pageNumber, page)}
+                    />
+                    {size && highlights.filter(h => h.page === pageNumber).map((h, i) => (
+                      <div
+                        key={i}
+                        style={{
+                          ...styles.highlight(h.kind, sameAnchor(h, focus)),
+                          left: (h.box.x - BOX_PADDING) * scale,
+                          top: (size.height - h.box.y - h.box.height - BOX_PADDING) * scale,
+                          width: (h.box.width + BOX_PADDING * 2) * scale,
+                          height: (h.box.height + BOX_PADDING * 2) * scale,
+                        }}
+                      />
+                    ))}
+                  </div>
+                </div>
+              );
+            })}
+          </Document>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SideBySideViewer = ({ oldFile, newFile, oldPassword, newPassword, oldTitle, newTitle, highlights, focus }) => (
+  <div style={styles.container}>
+    <PdfPane file={oldFile} password={oldPassword} title={oldTitle} highlights={highlights.old} focus={focus && focus.old} />
+    <PdfPane file={newFile} password={newPassword} title={newTitle} highlights={highlights.new} focus={focus && focus.new} />
+  </div>
+);
+
+export default SideBySideViewer;
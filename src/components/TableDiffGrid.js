@@ -0,0 +1,126 @@
+import React from 'react';
+import { describeCell } from '../utils/tableDiff';
+
+const styles = {
+  summary: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '0.75rem',
+    marginBottom: '0.5rem',
+    fontSize: '0.8rem',
+    color: '#4a5568',
+  },
+  wrapper: {
+    overflowX: 'auto',
+  },
+  table: {
+    borderCollapse: 'collapse',
+    width: '100%',
+    fontSize: '0.8rem',
+  },
+  th: (status) => ({
+    padding: '0.35rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    background: status === 'added' ? '#c6f6d5' : status === 'removed' ? '#fed7d7' : '#f7fafc',
+    textDecoration: status === 'removed' ? 'line-through' : 'none',
+    textAlign: 'left',
+    whiteSpace: 'nowrap',
+  }),
+  rowLabel: (row) => ({
+    padding: '0.35rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    fontWeight: '600',
+    whiteSpace: 'nowrap',
+    background: row.status === 'added' ? '#f0fff4' : row.status === 'removed' ? '#fff5f5' : '#ffffff',
+    borderLeft: row.moved ? '3px solid #3182ce' : '1px solid #e2e8f0',
+  }),
+  td: (status) => ({
+    padding: '0.35rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    background: {
+      added: '#f0fff4',
+      removed: '#fff5f5',
+      changed: '#fffff0',
+    }[status] || '#ffffff',
+    textDecoration: status === 'removed' ? 'line-through' : 'none',
+  }),
+  oldValue: {
+    color: '#c53030',
+    textDecoration: 'line-through',
+    marginRight: '0.35rem',
+  },
+  newValue: {
+    color: '#2f855a',
+    fontWeight: '600',
+  },
+  unitTag: {
+    marginLeft: '0.35rem',
+    fontSize: '0.7rem',
+    color: '#6b46c1',
+    fontWeight: '500',
+  },
+  movedTag: {
+    marginLeft: '0.35rem',
+    fontSize: '0.7rem',
+    color: '#3182ce',
+    fontWeight: '500',
+  },
+};
+
+// onSelectCell(row, columnIndex) is called with -1 for the row label.
+const TableDiffGrid = ({ tableDiff, onSelectCell }) => {
+  const { summary } = tableDiff;
+  return (
+    <>
+      <div style={styles.summary}>
+        <span>{summary.changedCells} changed cell(s)</span>
+        <span>{summary.addedRows} added / {summary.removedRows} removed row(s)</span>
+        <span>{summary.addedColumns} added / {summary.removedColumns} removed column(s)</span>
+        <span>{summary.movedRows} reordered row(s)</span>
+      </div>
+      <div style={styles.wrapper}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th('same')}>{tableDiff.labelHeader}</th>
+              {tableDiff.columns.map((column, i) => (
+                <th key={i} style={styles.th(column.status)}>{column.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {tableDiff.rows.map((row, rowIndex) => (
+              <tr key={rowIndex}>
+                <td
+                  style={{ ...styles.rowLabel(row), cursor: onSelectCell ? 'pointer' : 'default' }}
+                  onClick={onSelectCell ? () => onSelectCell(row, -1) : undefined}
+                >
+                  {row.label}
+                  {row.moved && <span style={styles.movedTag}>moved</span>}
+                </td>
+                {row.cells.map((cell, i) => (
+                  <td
+                    key={i}
+                    style={{ ...styles.td(cell.status), cursor: onSelectCell ? 'pointer' : 'default' }}
+                    onClick={onSelectCell ? () => onSelectCell(row, i) : undefined}
+                    title={cell.status === 'changed' ? describeCell(row, tableDiff.columns[i]) : undefined}
+                  >
+                    {cell.status === 'changed' ? (
+                      <>
+                        <span style={styles.oldValue}>{cell.oldValue}</span>
+                        <span style={styles.newValue}>{cell.newValue}</span>
+                        {cell.unitChange && <span style={styles.unitTag}>unit</span>}
+                      </>
+                    ) : cell.status === 'removed' ? cell.oldValue : cell.newValue}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+export default TableDiffGrid;
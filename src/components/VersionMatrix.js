@@ -0,0 +1,86 @@
+import React from 'react';
+
+const styles = {
+  section: {
+    marginBottom: '1rem',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    overflow: 'hidden',
+  },
+  sectionHeader: {
+    padding: '0.75rem 1rem',
+    background: '#f7fafc',
+    borderBottom: '1px solid #e2e8f0',
+    fontWeight: '600',
+    color: '#4a5568',
+    fontSize: '0.95rem',
+  },
+  wrapper: {
+    overflowX: 'auto',
+  },
+  table: {
+    borderCollapse: 'collapse',
+    width: '100%',
+    fontSize: '0.8rem',
+  },
+  th: {
+    padding: '0.35rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    background: '#f7fafc',
+    textAlign: 'left',
+    whiteSpace: 'nowrap',
+  },
+  label: {
+    padding: '0.3rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    color: '#4a5568',
+    whiteSpace: 'nowrap',
+  },
+  td: (changed) => ({
+    padding: '0.3rem 0.5rem',
+    border: '1px solid #e2e8f0',
+    textAlign: 'right',
+    background: changed ? '#fefcbf' : '#ffffff',
+    fontWeight: changed ? '600' : 'normal',
+  }),
+  empty: {
+    textAlign: 'center',
+    padding: '2rem 1rem',
+    color: '#a0aec0',
+  },
+};
+
+// Values of each section across all versions, oldest first. A cell is
+// highlighted when it differs from the version before it.
+const VersionMatrix = ({ matrix, versionNames }) => {
+  if (matrix.length === 0) {
+    return <div style={styles.empty}>No values changed between any of the loaded versions.</div>;
+  }
+  return matrix.map(section => (
+    <div key={section.key} style={styles.section}>
+      <div style={styles.sectionHeader}>{section.title}</div>
+      <div style={styles.wrapper}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Value</th>
+              {versionNames.map((name, i) => <th key={i} style={styles.th}>{name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {section.rows.map(row => (
+              <tr key={row.key}>
+                <td style={styles.label}>{row.label}</td>
+                {row.values.map((value, i) => (
+                  <td key={i} style={styles.td(row.changed[i])}>{value}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  ));
+};
+
+export default VersionMatrix;
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 import 'bootstrap/dist/css/bootstrap.min.css';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -11,3 +12,5 @@ root.render(
   </React.StrictMode>
 );
 
+// Caches the app so it can be installed and used offline.
+serviceWorkerRegistration.register();
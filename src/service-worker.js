@@ -0,0 +1,55 @@
+/* eslint-disable no-restricted-globals */
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+import { warmStrategyCache } from 'workbox-recipes';
+
+// Caches the app shell so the tool opens and runs with no connection. The
+// build injects every bundled file into __WB_MANIFEST, which includes the
+// comparison worker and the pdf.js worker.
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations are answered with index.html, except for requests for files
+// such as /manifest.json and reserved /_ paths.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => request.mode === 'navigate' &&
+    !url.pathname.startsWith('/_') &&
+    !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Files served from public/ are not part of the build, so they are cached
+// on install and refreshed in the background afterwards. That includes the
+// OCR engine and language data, which must be available offline too.
+const publicFiles = new StaleWhileRevalidate({ cacheName: 'public-files' });
+warmStrategyCache({
+  urls: [
+    'manifest.json',
+    'logo.png',
+    'logo192.png',
+    'logo512.png',
+    'ocr/worker.min.js',
+    'ocr/tesseract-core-relaxedsimd-lstm.wasm.js',
+    'ocr/tesseract-core-simd-lstm.wasm.js',
+    'ocr/tesseract-core-lstm.wasm.js',
+    'ocr/eng.traineddata.gz',
+  ].map(file => `${process.env.PUBLIC_URL}/${file}`),
+  strategy: publicFiles,
+});
+registerRoute(
+  ({ url }) => url.origin === self.location.origin &&
+    (/\.(png|json)$/.test(url.pathname) || url.pathname.startsWith(`${process.env.PUBLIC_URL}/ocr/`)),
+  publicFiles
+);
+
+// Lets the page activate a waiting update straight away.
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,74 @@
+// Registers the service worker from src/service-worker.js in production
+// builds. `onSuccess` is called once the app is cached for offline use and
+// `onUpdate` when a new version is waiting to take over.
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    window.location.hostname === '[::1]' ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+const watchInstall = (registration, { onSuccess, onUpdate }) => {
+  registration.onupdatefound = () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.onstatechange = () => {
+      if (installing.state !== 'installed') return;
+      if (navigator.serviceWorker.controller) {
+        console.log('A new version of AccuraRate is available and will be used once all its tabs are closed.');
+        if (onUpdate) onUpdate(registration);
+      } else {
+        console.log('AccuraRate is cached for offline use.');
+        if (onSuccess) onSuccess(registration);
+      }
+    };
+  };
+};
+
+// On localhost a stale worker left over from another project would serve
+// the wrong files, so the script is checked before registering.
+const checkValidServiceWorker = async (swUrl, config) => {
+  try {
+    const response = await fetch(swUrl, { headers: { 'Service-Worker': 'script' } });
+    const contentType = response.headers.get('content-type');
+    if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+      const registration = await navigator.serviceWorker.ready;
+      await registration.unregister();
+      window.location.reload();
+      return;
+    }
+    watchInstall(await navigator.serviceWorker.register(swUrl), config);
+  } catch (err) {
+    console.log('No internet connection found. AccuraRate is running in offline mode.');
+  }
+};
+
+export const register = (config = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  // The worker cannot control pages from another origin (e.g. a CDN).
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', async () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+      return;
+    }
+    try {
+      watchInstall(await navigator.serviceWorker.register(swUrl), config);
+    } catch (err) {
+      console.error('Service worker registration failed:', err);
+    }
+  });
+};
+
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (err) {
+    console.error(err.message);
+  }
+};
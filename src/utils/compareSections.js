@@ -0,0 +1,125 @@
+import { linesOutsideTable } from './tableExtraction';
+import { diffTables } from './tableDiff';
+import {
+  extractNumbers, extractLineNumbers, compareNumbers, numbersMatch, unitChanged,
+} from './numericCompare';
+import { lineChanges, partLines } from './lineDiff';
+import { buildVersionMatrix } from './versionMatrix';
+import { compileIgnoreRules, applyIgnoreRules } from './ignoreRules';
+import { stripRunningText } from './runningText';
+
+// Compares the selected section pairs of the baseline and target and, when
+// more than two versions are loaded, builds the version matrix as well.
+// Each version is { sections, runningLines, locale }: the ids of its header
+// and footer lines (see runningText), which are dropped when
+// `stripRunningText` is on, and the number format its numbers are read in.
+// `onProgress({ done, total })` is called after each section pair.
+// `suppressed` counts, per enabled ignore rule, the matches removed from the
+// compared baseline and target sections.
+export const compareSections = (
+  { pairs, versions, baselineIndex, targetIndex, options },
+  { onProgress } = {}
+) => {
+  const { tableAware, onlyNumeric, showWithinTolerance, tolerance, ignoreRules } = options;
+  const ignore = compileIgnoreRules(ignoreRules);
+  const counts = ignore.map(() => 0);
+  const cleanVersions = options.stripRunningText ? versions.map(version => {
+    const lineIds = new Set(version.runningLines);
+    return { ...version, sections: version.sections.map(section => stripRunningText(section, lineIds)) };
+  }) : versions;
+  const oldSections = cleanVersions[baselineIndex].sections;
+  const newSections = cleanVersions[targetIndex].sections;
+  const oldLocale = versions[baselineIndex].locale;
+  const newLocale = versions[targetIndex].locale;
+  const results = [];
+
+  const cellNumbersMatch = (oldCell, newCell) => {
+    const oldNumbers = extractNumbers(oldCell, {}, oldLocale);
+    const newNumbers = extractNumbers(newCell, {}, newLocale);
+    return oldNumbers.length === newNumbers.length &&
+      oldNumbers.every((n, i) => numbersMatch(n, newNumbers[i], tolerance));
+  };
+
+  // Flags, as `unitChanges[i]`, the lines of a removed part and of the added
+  // part right after it whose counterpart at the same position holds the
+  // same count of numbers with a unit changed.
+  const markUnitChanges = (changes) => changes.map((part, i) => {
+    const counterpart = part.removed ? changes[i + 1] : changes[i - 1];
+    if (!counterpart || (part.removed ? !counterpart.added : !counterpart.removed)) return part;
+    const others = partLines(counterpart);
+    const unitChanges = partLines(part).map(({ text }, k) => {
+      if (!others[k] || (part.moves && part.moves[k])) return false;
+      const [oldText, newText] = part.removed ? [text, others[k].text] : [others[k].text, text];
+      return unitChanged(oldText, newText, { oldLocale, newLocale });
+    });
+    return unitChanges.some(Boolean) ? { ...part, unitChanges } : part;
+  });
+
+  const compareOne = (pair) => {
+    const oldSection = pair.oldIndex !== null ? applyIgnoreRules(oldSections[pair.oldIndex], ignore, counts) : null;
+    const newSection = pair.newIndex !== null ? applyIgnoreRules(newSections[pair.newIndex], ignore, counts) : null;
+    const { key } = pair;
+    const sectionPath = pair.path.join(' › ');
+    const title = pair.oldTitle && pair.newTitle && pair.oldTitle !== pair.newTitle
+      ? `${sectionPath} (was: ${pair.oldTitle})`
+      : sectionPath;
+
+    // A tabular section is compared cell by cell; the lines around its
+    // table, such as notes and footnotes, are compared like any other text.
+    const result = {};
+    let oldLines = oldSection ? oldSection.lines : [];
+    let newLines = newSection ? newSection.lines : [];
+    if (tableAware && (oldSection?.table || newSection?.table)) {
+      const tableDiff = diffTables(oldSection?.table, newSection?.table, {
+        compareCell: onlyNumeric ? cellNumbersMatch : undefined
+      });
+      tableDiff.rows.forEach(row => row.cells.forEach(cell => {
+        if (cell.status === 'changed' && unitChanged(cell.oldValue, cell.newValue, { oldLocale, newLocale })) {
+          cell.unitChange = true;
+        }
+      }));
+      if (tableDiff.hasChanges) result.tableDiff = tableDiff;
+      oldLines = oldSection ? linesOutsideTable(oldSection) : [];
+      newLines = newSection ? linesOutsideTable(newSection) : [];
+    }
+
+    if (onlyNumeric) {
+      const numericPairs = compareNumbers(
+        extractLineNumbers(oldLines, oldLocale),
+        extractLineNumbers(newLines, newLocale),
+        tolerance
+      );
+      const hasRealChanges = numericPairs.some(pair => pair.status !== 'tolerance');
+      if (hasRealChanges || (showWithinTolerance && numericPairs.length > 0)) {
+        result.numericPairs = numericPairs;
+      }
+    } else {
+      const linesText = (lines) => lines.map(line => line.text).join('\n');
+      const changes = lineChanges(linesText(oldLines), linesText(newLines), oldLines, newLines);
+      if (changes.length > 0) result.changes = markUnitChanges(changes);
+    }
+
+    if (Object.keys(result).length > 0) {
+      results.push({ key, title, ...result });
+    }
+  };
+
+  pairs.forEach((pair, i) => {
+    compareOne(pair);
+    if (onProgress) onProgress({ done: i + 1, total: pairs.length });
+  });
+
+  const matrixVersions = ignore.length === 0 ? cleanVersions : cleanVersions.map(version => ({
+    ...version,
+    sections: version.sections.map(section => applyIgnoreRules(section, ignore)),
+  }));
+  const matrix = versions.length > 2
+    ? buildVersionMatrix(matrixVersions, baselineIndex, targetIndex, pairs, {
+      tableAware,
+      alignPagesByContent: options.alignPagesByContent,
+    })
+    : null;
+
+  const suppressed = ignore.map((rule, i) => ({ label: rule.label, count: counts[i] }));
+  return { results, matrix, suppressed };
+};
@@ -0,0 +1,60 @@
+import { groupIntoLines, buildTable } from './tableExtraction';
+import { compareSections } from './compareSections';
+
+// A section laid out from rows of cells, one row per line, top to bottom.
+const section = (rows) => {
+  const items = rows.flatMap((cells, row) => cells.map((str, column) => ({
+    str, x: 50 + column * 100, y: 700 - row * 14, width: 40, height: 10, page: 1,
+  })));
+  const lines = groupIntoLines(items);
+  return { title: 'Rates', lines, text: lines.map(line => line.text).join('\n'), table: buildTable(lines) };
+};
+
+const compare = (oldSection, newSection, options = {}) => compareSections({
+  pairs: [{ key: 'rates', oldIndex: 0, newIndex: 0, path: ['Rates'], oldTitle: 'Rates', newTitle: 'Rates' }],
+  versions: [{ sections: [oldSection], locale: 'en' }, { sections: [newSection], locale: 'en' }],
+  baselineIndex: 0,
+  targetIndex: 1,
+  options: { tableAware: true, tolerance: {}, ...options },
+}).results;
+
+const table = [['Territory', 'Base', 'Factor'], ['North', '100', '1.10'], ['South', '120', '1.25']];
+
+describe('compareSections', () => {
+  test('reports text changes around an unchanged table', () => {
+    const results = compare(
+      section([['Rates apply to new business only.'], ...table]),
+      section([['Rates apply to new and renewal business.'], ...table])
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].tableDiff).toBeUndefined();
+    expect(results[0].changes.map(part => [part.removed ? '-' : '+', part.value.trim()])).toEqual([
+      ['-', 'Rates apply to new business only.'],
+      ['+', 'Rates apply to new and renewal business.'],
+    ]);
+  });
+
+  test('reports table and text changes of the same section together', () => {
+    const newTable = [table[0], ['North', '105', '1.10'], table[2]];
+    const results = compare(
+      section([...table, ['Minimum premium 250']]),
+      section([...newTable, ['Minimum premium 300']]),
+      { onlyNumeric: true }
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].tableDiff.summary.changedCells).toBe(1);
+    expect(results[0].numericPairs.map(pair => [pair.oldRaw, pair.newRaw])).toEqual([['250', '300']]);
+  });
+
+  test('flags unit changes in text comparisons', () => {
+    const results = compare(
+      section([['The deductible is 250 per claim.']]),
+      section([['The deductible is 250% per claim.']])
+    );
+    expect(results[0].changes.map(part => part.unitChanges)).toEqual([[true], [true]]);
+  });
+
+  test('reports nothing for identical sections', () => {
+    expect(compare(section([['Note'], ...table]), section([['Note'], ...table]))).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describeCell } from './tableDiff';
+import { numericDelta, unitChanged } from './numericCompare';
+import { partLines, movedLine } from './lineDiff';
+
+// Flattens comparison results into one spreadsheet row per changed number,
+// table cell or text line, so the workbook can be filtered and pivoted.
+
+const changeLabels = {
+  changed: 'Changed',
+  added: 'Added',
+  removed: 'Removed',
+  moved: 'Moved',
+};
+
+const toRow = (title, fields) => ({
+  'Section Title': title,
+  'Page': fields.page ?? '',
+  'Position': fields.position || '',
+  'Label': fields.label || '',
+  'Old Value': fields.oldValue || '',
+  'New Value': fields.newValue || '',
+  'Delta': fields.delta ?? '',
+  '% Change': fields.pctChange ?? '',
+  'Difference Type': fields.type,
+  'Change': fields.change,
+});
+
+const tableRows = (title, tableDiff, locales) => tableDiff.rows.flatMap(row => {
+  const page = (row.newRow || row.oldRow).page;
+  const rows = row.cells
+    .map((cell, i) => ({ cell, column: tableDiff.columns[i] }))
+    .filter(({ cell }) => cell.status !== 'same' && (cell.oldValue || cell.newValue))
+    .map(({ cell, column }) => toRow(title, {
+      page,
+      position: describeCell(row, column),
+      oldValue: cell.oldValue,
+      newValue: cell.newValue,
+      ...(cell.status === 'changed' ? numericDelta(cell.oldValue, cell.newValue, locales) : {}),
+      type: cell.unitChange ? 'Unit' : 'Table Cell',
+      change: changeLabels[cell.status],
+    }));
+  if (row.moved) {
+    rows.unshift(toRow(title, { page, position: `row '${row.label}'`, type: 'Table Row', change: 'Moved' }));
+  }
+  return rows;
+});
+
+const numericRows = (title, pairs) => pairs
+  .filter(pair => pair.status !== 'tolerance')
+  .map(pair => toRow(title, {
+    page: pair.page,
+    position: pair.position,
+    oldValue: pair.oldRaw,
+    newValue: pair.newRaw,
+    delta: pair.delta,
+    pctChange: pair.pctChange,
+    label: pair.label,
+    type: pair.status === 'unit' ? 'Unit' : 'Numeric',
+    change: changeLabels[pair.status === 'unit' ? 'changed' : pair.status],
+  }));
+
+// A moved line is reported once, from its old position, with where it
+// went; it is left out of the removed/added lines paired up by position.
+const movedRows = (title, changes) => changes.flatMap((part, partIndex) => (part.removed
+  ? partLines(part).flatMap((line, lineIndex) => {
+    const moved = movedLine(changes, partIndex, lineIndex);
+    if (!moved) return [];
+    const from = line.location;
+    const to = moved.location;
+    return [toRow(title, {
+      page: from ? from.page : '',
+      position: from && to ? `Line ${from.lineNumber} → p. ${to.page} line ${to.lineNumber}` : '',
+      oldValue: line.text,
+      newValue: moved.text,
+      type: 'Textual',
+      change: changeLabels.moved,
+    })];
+  })
+  : []));
+
+const unmovedLines = (part) => partLines(part).filter((_, i) => !(part.moves && part.moves[i]));
+
+const textRows = (title, changes, locales) => {
+  const rows = movedRows(title, changes);
+  let i = 0;
+  while (i < changes.length) {
+    const current = changes[i];
+    const next = changes[i + 1];
+    const removed = current.removed ? unmovedLines(current) : [];
+    const added = current.added ? unmovedLines(current) : current.removed && next && next.added ? unmovedLines(next) : [];
+    i += current.removed && next && next.added ? 2 : 1;
+
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const oldLine = removed[k];
+      const newLine = added[k];
+      const location = (newLine && newLine.location) || (oldLine && oldLine.location);
+      rows.push(toRow(title, {
+        page: location ? location.page : '',
+        position: location ? `Line ${location.lineNumber}` : '',
+        oldValue: oldLine ? oldLine.text : '',
+        newValue: newLine ? newLine.text : '',
+        ...(oldLine && newLine ? numericDelta(oldLine.text, newLine.text, locales) : {}),
+        type: oldLine && newLine && unitChanged(oldLine.text, newLine.text, locales) ? 'Unit' : 'Textual',
+        change: oldLine && newLine ? 'Changed' : oldLine ? 'Removed' : 'Added',
+      }));
+    }
+  }
+  return rows;
+};
+
+// `locales` ({ oldLocale, newLocale }) are the number formats of the two
+// documents, for the deltas of changed cells and lines. A tabular section
+// lists its table cells before the changes in the text around the table.
+export const buildExportRows = (results, locales) => results.flatMap(({ title, changes, tableDiff, numericPairs }) => [
+  ...(tableDiff ? tableRows(title, tableDiff, locales) : []),
+  ...(numericPairs ? numericRows(title, numericPairs) : []),
+  ...(changes ? textRows(title, changes, locales) : []),
+]);
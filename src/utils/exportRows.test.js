@@ -0,0 +1,67 @@
+import { groupIntoLines, buildTable } from './tableExtraction';
+import { compareSections } from './compareSections';
+import { buildExportRows } from './exportRows';
+
+// A section laid out from rows of cells, one row per line, top to bottom.
+const section = (rows) => {
+  const items = rows.flatMap((cells, row) => cells.map((str, column) => ({
+    str, x: 50 + column * 100, y: 700 - row * 14, width: 40, height: 10, page: 1,
+  })));
+  const lines = groupIntoLines(items);
+  return { title: 'Rates', lines, text: lines.map(line => line.text).join('\n'), table: buildTable(lines) };
+};
+
+const exportRows = (oldSection, newSection, options = {}) => buildExportRows(compareSections({
+  pairs: [{ key: 'rates', oldIndex: 0, newIndex: 0, path: ['Rates'], oldTitle: 'Rates', newTitle: 'Rates' }],
+  versions: [{ sections: [oldSection], locale: 'en' }, { sections: [newSection], locale: 'en' }],
+  baselineIndex: 0,
+  targetIndex: 1,
+  options: { tableAware: true, tolerance: {}, ...options },
+}).results, { oldLocale: 'en', newLocale: 'en' });
+
+// The columns a test looks at, in spreadsheet order.
+const pick = (rows, columns) => rows.map(row => columns.map(column => row[column]));
+
+const table = [['Territory', 'Base', 'Factor'], ['North', '100', '1.10'], ['South', '120', '1.25']];
+
+describe('buildExportRows', () => {
+  test('splits a line with several changed numbers into one row per number', () => {
+    const rows = exportRows(
+      section([['Base 100, fee 25, minimum 250']]),
+      section([['Base 110, fee 25, minimum 300']]),
+      { onlyNumeric: true }
+    );
+    expect(pick(rows, ['Page', 'Position', 'Old Value', 'New Value', 'Delta', '% Change', 'Difference Type', 'Change'])).toEqual([
+      [1, 'Line 1', '100', '110', 10, 10, 'Numeric', 'Changed'],
+      [1, 'Line 1', '250', '300', 50, 20, 'Numeric', 'Changed'],
+    ]);
+  });
+
+  test('splits a changed hunk into one row per line with its delta', () => {
+    const rows = exportRows(
+      section([['Base 100 per unit'], ['Fee 25 flat']]),
+      section([['Base 110 per unit'], ['Fee 30 flat']])
+    );
+    expect(pick(rows, ['Page', 'Position', 'Old Value', 'New Value', 'Delta', '% Change', 'Difference Type'])).toEqual([
+      [1, 'Line 1', 'Base 100 per unit', 'Base 110 per unit', 10, 10, 'Textual'],
+      [1, 'Line 2', 'Fee 25 flat', 'Fee 30 flat', 5, 20, 'Textual'],
+    ]);
+  });
+
+  test('reports a changed table cell by row and column', () => {
+    const rows = exportRows(section(table), section([table[0], ['North', '105', '1.10'], table[2]]));
+    expect(pick(rows, ['Page', 'Position', 'Old Value', 'New Value', 'Delta', '% Change', 'Difference Type'])).toEqual([
+      [1, "row 'North', column 'Base'", '100', '105', 5, 5, 'Table Cell'],
+    ]);
+  });
+
+  test('reports a moved line once, with where it went', () => {
+    const rows = exportRows(
+      section([['Alpha clause applies.'], ['Beta clause applies.'], ['Gamma clause applies.']]),
+      section([['Beta clause applies.'], ['Gamma clause applies.'], ['Alpha clause applies.']])
+    );
+    expect(pick(rows, ['Position', 'Old Value', 'Change'])).toEqual([
+      ['Line 1 → p. 1 line 3', 'Alpha clause applies.', 'Moved'],
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+import { lineId } from './runningText';
+
+// Infers a section structure for PDFs without bookmarks, so their sections
+// can still be matched by heading rather than by page number. A line is
+// taken as a heading when it stands out from the body text by at least two
+// of: a larger font, a bold font, a numbering such as "2.1" and a keyword
+// such as "Section" or "Exhibit". Fonts are compared by `fontName`, which
+// parsePdf sets to the PDF's font name (e.g. "ABCDEF+Arial-BoldMT").
+
+const MAX_HEADING_LENGTH = 100;
+const LARGER_RATIO = 1.15;
+const BOLD_FONT = /bold|black|heavy|demi|cmbx/i;
+const NUMBERING = /^((?:\d+\.)*\d+)\.?\s+\p{L}/u;
+const KEYWORD = /^(?:section|chapter|part|article|exhibit|schedule|appendix|rule|manual)\b/i;
+
+const round = (value) => Math.round(value * 2) / 2;
+
+// The most common font size, weighted by the amount of text set in it.
+const bodySize = (lines) => {
+  const weights = new Map();
+  lines.forEach(line => {
+    const size = round(line.height);
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  });
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+const headingStyle = (line, body) => {
+  const text = line.text.trim();
+  if (line.cells.length > 1 || text.length > MAX_HEADING_LENGTH || !/\p{L}/u.test(text)) return null;
+  const larger = round(line.height) >= body * LARGER_RATIO;
+  const bold = line.items.every(item => BOLD_FONT.test(item.fontName || ''));
+  const numbering = text.match(NUMBERING);
+  const keyword = KEYWORD.test(text);
+  const score = [larger, bold, numbering, keyword].filter(Boolean).length;
+  if (score < 2) return null;
+  return { size: round(line.height), bold, depth: numbering ? numbering[1].split('.').length - 1 : null };
+};
+
+// `pages[n - 1]` holds the lines of page n; `runningLines` are the ids of
+// running headers and footers, which are never taken as headings. Returns
+// section markers (see sectionBuilder), or an empty list when fewer than two
+// headings are found.
+export const detectHeadings = (pages, runningLines = new Set()) => {
+  const allLines = pages.flat();
+  if (allLines.length === 0) return [];
+  const body = bodySize(allLines);
+
+  const headings = [];
+  pages.forEach((lines, i) => {
+    lines.forEach((line, lineIndex) => {
+      const style = runningLines.has(lineId(line)) ? null : headingStyle(line, body);
+      if (!style) return;
+      const previous = headings[headings.length - 1];
+      // A heading wrapped over two lines continues the previous one.
+      if (previous && previous.startPage === i + 1 && previous.endLine === lineIndex - 1 &&
+          previous.style.size === style.size && previous.style.bold === style.bold && style.depth === null) {
+        previous.title += ` ${line.text.trim()}`;
+        previous.endLine = lineIndex;
+        return;
+      }
+      headings.push({ title: line.text.trim(), startPage: i + 1, startLine: lineIndex, endLine: lineIndex, style });
+    });
+  });
+  if (headings.length < 2) return [];
+
+  // Numbered headings nest by their numbering. Others take the depth of
+  // numbered headings set in the same style, or else rank by font size,
+  // largest first.
+  const styleKey = (style) => `${style.size}|${style.bold}`;
+  const numberedDepths = {};
+  headings.filter(h => h.style.depth !== null).forEach(({ style }) => {
+    const key = styleKey(style);
+    numberedDepths[key] = Math.min(numberedDepths[key] ?? Infinity, style.depth);
+  });
+  const sizes = [...new Set(headings.map(h => h.style.size))].sort((a, b) => b - a);
+  const rank = (style) => style.depth ?? numberedDepths[styleKey(style)] ?? sizes.indexOf(style.size);
+
+  const open = [];
+  return headings.map(({ title, startPage, startLine, style }) => {
+    const depth = rank(style);
+    while (open.length > 0 && open[open.length - 1].depth >= depth) open.pop();
+    open.push({ title, depth });
+    return { title, path: open.map(h => h.title), level: open.length - 1, startPage, startLine };
+  });
+};
@@ -0,0 +1,63 @@
+import { detectHeadings } from './headingDetection';
+
+// A line set in `size` points in a regular or bold font.
+const lineOf = (page, lineNumber, text, { size = 10, bold = false } = {}) => ({
+  page,
+  lineNumber,
+  text,
+  height: size,
+  cells: [{ text, x0: 0, x1: 100 }],
+  items: [{ str: text, fontName: bold ? 'ABCDEF+Arial-BoldMT' : 'ABCDEF+ArialMT' }],
+});
+const body = (page, lineNumber) => lineOf(page, lineNumber, 'Rates apply to policies written on or after the effective date of this filing.');
+
+const outline = (headings) => headings.map(({ title, level, startPage, startLine }) => [title, level, startPage, startLine]);
+
+describe('detectHeadings', () => {
+  test('nests numbered bold headings by their numbering', () => {
+    const pages = [
+      [lineOf(1, 1, '1. General Rules', { bold: true, size: 14 }), body(1, 2), lineOf(1, 3, '1.1 Eligibility', { bold: true }), body(1, 4)],
+      [lineOf(2, 1, '2. Rates', { bold: true, size: 14 }), body(2, 2), body(2, 3)],
+    ];
+    expect(outline(detectHeadings(pages))).toEqual([
+      ['1. General Rules', 0, 1, 0],
+      ['1.1 Eligibility', 1, 1, 2],
+      ['2. Rates', 0, 2, 0],
+    ]);
+    expect(detectHeadings(pages)[1].path).toEqual(['1. General Rules', '1.1 Eligibility']);
+  });
+
+  test('takes large bold lines and keyword lines as headings', () => {
+    const pages = [
+      [lineOf(1, 1, 'Territory Definitions', { bold: true, size: 16 }), body(1, 2)],
+      [lineOf(2, 1, 'Exhibit A', { bold: true }), body(2, 2)],
+    ];
+    expect(outline(detectHeadings(pages))).toEqual([
+      ['Territory Definitions', 0, 1, 0],
+      ['Exhibit A', 1, 2, 0],
+    ]);
+  });
+
+  test('does not take body text with a single cue as a heading', () => {
+    const pages = [[lineOf(1, 1, 'Section headings', { bold: false }), body(1, 2), lineOf(1, 3, 'Bold remark', { bold: true })]];
+    expect(detectHeadings(pages)).toEqual([]);
+  });
+
+  test('joins a heading wrapped over two lines', () => {
+    const pages = [
+      [lineOf(1, 1, 'Commercial Property', { bold: true, size: 14 }), lineOf(1, 2, 'Rating Plan', { bold: true, size: 14 }), body(1, 3)],
+      [lineOf(2, 1, 'Appendix', { bold: true, size: 14 }), body(2, 2)],
+    ];
+    expect(detectHeadings(pages).map(heading => heading.title)).toEqual(['Commercial Property Rating Plan', 'Appendix']);
+  });
+
+  test('skips running headers', () => {
+    const pages = [1, 2, 3].map(page => [lineOf(page, 1, 'Rule Manual', { bold: true, size: 14 }), body(page, 2)]);
+    expect(detectHeadings(pages, new Set(['1:1', '2:1', '3:1']))).toEqual([]);
+  });
+
+  test('needs at least two headings', () => {
+    expect(detectHeadings([[lineOf(1, 1, '1. Rules', { bold: true }), body(1, 2)]])).toEqual([]);
+    expect(detectHeadings([])).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { lineBox } from './tableExtraction';
+import { partLines, movedLine } from './lineDiff';
+
+// Turns comparison results into highlight boxes for the rendered PDF view.
+// An anchor is { page, box } with the box in PDF user space.
+
+export const lineAnchor = (line) => (line ? { page: line.page, box: lineBox(line) } : null);
+
+export const cellAnchor = (row, cellIndex) => {
+  const box = row && cellIndex >= 0 && row.cellBoxes ? row.cellBoxes[cellIndex] : null;
+  return box ? { page: row.page, box } : null;
+};
+
+export const tableCellAnchors = (tableDiff, row, columnIndex) => {
+  const column = tableDiff.columns[columnIndex];
+  return {
+    old: cellAnchor(row.oldRow, column ? column.oldIndex : 0),
+    new: cellAnchor(row.newRow, column ? column.newIndex : 0),
+  };
+};
+
+// Anchors for line `lineIndex` (as returned by partLines) of a text diff
+// part, on its own side and on the opposite side: where a moved line went,
+// or else the neighbouring removed/added part if there is one.
+export const textAnchors = (changes, partIndex, lineIndex) => {
+  const part = changes[partIndex];
+  const moved = movedLine(changes, partIndex, lineIndex);
+  if (moved) {
+    const own = lineAnchor(partLines(part)[lineIndex].location);
+    const other = lineAnchor(moved.location);
+    return part.removed ? { old: own, new: other } : { old: other, new: own };
+  }
+  const counterpart = part.removed
+    ? (changes[partIndex + 1] && changes[partIndex + 1].added ? changes[partIndex + 1] : null)
+    : (changes[partIndex - 1] && changes[partIndex - 1].removed ? changes[partIndex - 1] : null);
+  const ownLine = partLines(part)[lineIndex];
+  const counterLines = partLines(counterpart);
+  const counterLine = counterLines[Math.min(lineIndex, counterLines.length - 1)];
+  const own = lineAnchor(ownLine && ownLine.location);
+  const other = lineAnchor(counterLine && counterLine.location);
+  return part.removed ? { old: own, new: other } : { old: other, new: own };
+};
+
+export const collectHighlights = (results) => {
+  const highlights = { old: [], new: [] };
+  const add = (side, anchor, kind) => {
+    if (anchor) highlights[side].push({ ...anchor, kind });
+  };
+
+  results.forEach(({ changes, tableDiff, numericPairs }) => {
+    if (tableDiff) {
+      tableDiff.rows.forEach(row => {
+        row.cells.forEach((cell, i) => {
+          if (cell.status === 'same') return;
+          const column = tableDiff.columns[i];
+          add('old', cellAnchor(row.oldRow, column.oldIndex), cell.status);
+          add('new', cellAnchor(row.newRow, column.newIndex), cell.status);
+        });
+        if (row.moved) {
+          add('old', cellAnchor(row.oldRow, 0), 'moved');
+          add('new', cellAnchor(row.newRow, 0), 'moved');
+        }
+      });
+    }
+    if (numericPairs) {
+      numericPairs
+        .filter(pair => pair.status !== 'tolerance')
+        .forEach(pair => {
+          add('old', pair.oldAnchor, pair.status);
+          add('new', pair.newAnchor, pair.status);
+        });
+    }
+    if (changes) {
+      changes.forEach(part => {
+        partLines(part).forEach(({ location }, i) => {
+          const kind = part.moves && part.moves[i] ? 'moved'
+            : part.unitChanges && part.unitChanges[i] ? 'unit'
+              : part.removed ? 'removed' : 'added';
+          add(part.removed ? 'old' : 'new', lineAnchor(location), kind);
+        });
+      });
+    }
+  });
+  return highlights;
+};
@@ -0,0 +1,82 @@
+import { buildTable } from './tableExtraction';
+
+// Volatile text such as effective dates, form edition codes and page
+// footers changes in every filing without changing any rate. Ignore rules
+// remove it from the section lines before numbers are extracted or text is
+// diffed. A rule is { label, pattern, enabled }; presets carry an `id` and
+// cannot be removed, only switched off.
+
+export const IGNORE_PRESETS = [
+  {
+    id: 'dates',
+    label: 'Dates',
+    pattern: '\\b(?:\\d{1,2}[/-]\\d{1,2}[/-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? \\d{1,2},? \\d{4})\\b',
+  },
+  {
+    id: 'formCodes',
+    label: 'Form and edition codes',
+    pattern: '\\b[a-z]{2,3} \\d{2} \\d{2} \\d{2} \\d{2}\\b|\\b(?:ed(?:ition)?|rev)\\.? ?\\d{1,2}[/-]\\d{2,4}\\b',
+  },
+  {
+    id: 'pageNumbers',
+    label: 'Page X of Y',
+    pattern: '\\bpage \\d+(?: of \\d+)?\\b',
+  },
+];
+
+export const DEFAULT_IGNORE_RULES = IGNORE_PRESETS.map(preset => ({ ...preset, enabled: false }));
+
+// Patterns are matched case-insensitively, like heading patterns. Returns
+// null when the pattern is not a valid regular expression.
+export const compileIgnorePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'gi');
+  } catch (err) {
+    return null;
+  }
+};
+
+// Enabled rules with a usable pattern, as { label, regex }.
+export const compileIgnoreRules = (rules = []) => rules
+  .filter(rule => rule.enabled)
+  .map(rule => ({ label: rule.label, regex: compileIgnorePattern(rule.pattern) }))
+  .filter(rule => rule.regex && !rule.regex.test(''));
+
+// Removes every match from `text`, adding the number of matches of each
+// rule to `counts` (indexed like `compiled`).
+const strip = (text, compiled, counts) => compiled.reduce((result, { regex }, i) => {
+  regex.lastIndex = 0;
+  return result.replace(regex, () => {
+    counts[i] += 1;
+    return ' ';
+  });
+}, text).replace(/\s+/g, ' ').trim();
+
+const stripLine = (line, compiled, counts) => {
+  const cells = line.cells
+    .map(cell => ({ ...cell, text: strip(cell.text, compiled, counts) }))
+    .filter(cell => cell.text);
+  if (cells.length === 0) return null;
+  const text = cells.map(cell => cell.text).join(' ');
+  // A match spanning several cells (e.g. a footer laid out in columns)
+  // only shows up in the joined text; the line then becomes a single cell.
+  const joined = strip(text, compiled, counts);
+  if (!joined) return null;
+  if (joined === text) return { ...line, cells, text };
+  return { ...line, cells: [{ text: joined, x0: line.x0, x1: line.x1 }], text: joined };
+};
+
+// Copy of `section` with the rules applied to its lines, text and table.
+// Lines left empty are dropped.
+export const applyIgnoreRules = (section, compiled, counts = compiled.map(() => 0)) => {
+  if (!section || compiled.length === 0) return section;
+  const lines = section.lines
+    .map(line => stripLine(line, compiled, counts))
+    .filter(Boolean);
+  return {
+    ...section,
+    lines,
+    text: lines.map(line => line.text).join('\n'),
+    table: buildTable(lines),
+  };
+};
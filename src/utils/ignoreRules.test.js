@@ -0,0 +1,60 @@
+import {
+  IGNORE_PRESETS, DEFAULT_IGNORE_RULES, compileIgnorePattern, compileIgnoreRules, applyIgnoreRules,
+} from './ignoreRules';
+
+const lineOf = (...cells) => ({
+  page: 1,
+  cells: cells.map((text, i) => ({ text, x0: i * 100, x1: i * 100 + 60 })),
+  text: cells.join(' '),
+  x0: 0,
+  x1: cells.length * 100,
+});
+const sectionOf = (...lines) => ({ title: 'Rates', lines, text: lines.map(line => line.text).join('\n'), table: null });
+const preset = (id) => ({ ...IGNORE_PRESETS.find(rule => rule.id === id), enabled: true });
+
+describe('compileIgnoreRules', () => {
+  test('leaves out disabled rules and invalid patterns', () => {
+    expect(compileIgnorePattern('(')).toBeNull();
+    expect(compileIgnoreRules(DEFAULT_IGNORE_RULES)).toEqual([]);
+    expect(compileIgnoreRules([{ label: 'Bad', pattern: '(', enabled: true }])).toEqual([]);
+  });
+
+  test('rejects patterns that match the empty string', () => {
+    expect(compileIgnoreRules([{ label: 'Anything', pattern: '\\d*', enabled: true }])).toEqual([]);
+    expect(compileIgnoreRules([{ label: 'Codes', pattern: 'x\\d+', enabled: true }])).toHaveLength(1);
+  });
+});
+
+describe('applyIgnoreRules', () => {
+  test('removes matches and counts them per rule', () => {
+    const compiled = compileIgnoreRules([preset('dates'), preset('pageNumbers')]);
+    const counts = compiled.map(() => 0);
+    const result = applyIgnoreRules(sectionOf(
+      lineOf('Effective 01/01/2025 and March 5, 2025'),
+      lineOf('Base rate 100'),
+      lineOf('Page 3 of 10')
+    ), compiled, counts);
+    expect(result.lines.map(line => line.text)).toEqual(['Effective and', 'Base rate 100']);
+    expect(result.text).toBe('Effective and\nBase rate 100');
+    expect(counts).toEqual([2, 1]);
+  });
+
+  test('matches case-insensitively', () => {
+    const compiled = compileIgnoreRules([preset('formCodes')]);
+    const result = applyIgnoreRules(sectionOf(lineOf('CP 00 10 10 12 Edition 10/12'), lineOf('Rates')), compiled);
+    expect(result.lines.map(line => line.text)).toEqual(['Rates']);
+  });
+
+  test('removes a match spanning several cells', () => {
+    const compiled = compileIgnoreRules([{ label: 'Footer', pattern: 'company confidential', enabled: true }]);
+    const counts = [0];
+    const result = applyIgnoreRules(sectionOf(lineOf('Company', 'Confidential', '2025')), compiled, counts);
+    expect(result.lines.map(line => line.cells.map(cell => cell.text))).toEqual([['2025']]);
+    expect(counts).toEqual([1]);
+  });
+
+  test('leaves the section alone without rules', () => {
+    const section = sectionOf(lineOf('Page 1'));
+    expect(applyIgnoreRules(section, [])).toBe(section);
+  });
+});
@@ -0,0 +1,32 @@
+import * as diff from 'diff';
+import { partLines, movedLine } from './lineDiff';
+
+// Token-level highlighting inside changed lines. A removed line and the
+// added line at the same position of the following part, or a moved line and
+// where it went, are diffed by word or by character, so only the tokens that
+// actually changed stand out.
+
+const diffTokens = (oldLine, newLine, granularity) => (granularity === 'chars'
+  ? diff.diffChars(oldLine, newLine)
+  : diff.diffWordsWithSpace(oldLine, newLine));
+
+// Segments ({ text, changed }) for line `lineIndex` of part `partIndex`, or
+// null when the line has no counterpart to be compared with.
+export const inlineSegments = (changes, partIndex, lineIndex, granularity) => {
+  const part = changes[partIndex];
+  const line = partLines(part)[lineIndex];
+  let otherLine = movedLine(changes, partIndex, lineIndex);
+  if (!otherLine) {
+    const counterpart = part.removed ? changes[partIndex + 1] : changes[partIndex - 1];
+    if (!counterpart || (part.removed ? !counterpart.added : !counterpart.removed)) return null;
+    otherLine = partLines(counterpart)[lineIndex];
+  }
+  if (!line || !otherLine) return null;
+
+  const tokens = part.removed
+    ? diffTokens(line.text, otherLine.text, granularity)
+    : diffTokens(otherLine.text, line.text, granularity);
+  return tokens
+    .filter(token => (part.removed ? !token.added : !token.removed))
+    .map(token => ({ text: token.value, changed: Boolean(token.added || token.removed) }));
+};
@@ -0,0 +1,33 @@
+import { lineChanges } from './lineDiff';
+import { inlineSegments } from './inlineDiff';
+
+const text = (...lines) => lines.join('\n');
+const changed = (segments) => segments.filter(segment => segment.changed).map(segment => segment.text);
+
+describe('inlineSegments', () => {
+  const changes = lineChanges(
+    text('Base rate 100 per vehicle', 'Fee 25'),
+    text('Base rate 110 per insured vehicle', 'Fee 25')
+  );
+
+  test('marks only the changed words of a removed line', () => {
+    const segments = inlineSegments(changes, 0, 0, 'words');
+    expect(segments.map(segment => segment.text).join('')).toBe('Base rate 100 per vehicle');
+    expect(changed(segments)).toEqual(['100']);
+  });
+
+  test('marks only the changed words of the added line', () => {
+    const segments = inlineSegments(changes, 1, 0, 'words');
+    expect(segments.map(segment => segment.text).join('')).toBe('Base rate 110 per insured vehicle');
+    expect(changed(segments)).toEqual(['110', 'insured ']);
+  });
+
+  test('marks single characters in character mode', () => {
+    expect(changed(inlineSegments(changes, 1, 0, 'chars'))).toEqual(['1', 'insured ']);
+  });
+
+  test('has nothing to compare a line without a counterpart with', () => {
+    const added = lineChanges('Fee 25', text('Fee 25', 'Minimum premium 250'));
+    expect(inlineSegments(added, 0, 0, 'words')).toBeNull();
+  });
+});
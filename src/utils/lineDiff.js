@@ -0,0 +1,117 @@
+import * as diff from 'diff';
+
+// Line diff of two section texts. Each change records the section line
+// behind every line of its value so it can be traced back to a page and
+// position in the document, and, for lines that were moved rather than
+// removed and added, where they went (see markMoves).
+export const lineChanges = (oldText, newText, oldLines = [], newLines = []) => {
+  let oldLine = 0;
+  let newLine = 0;
+  // Changes between the same two runs of unchanged text share a gap.
+  let gap = 0;
+  const gaps = [];
+  const changes = diff
+    .diffLines(oldText.trim(), newText.trim(), { newlineIsToken: true, ignoreWhitespace: true })
+    .flatMap(part => {
+      const start = part.added ? newLine : oldLine;
+      const lines = part.added ? newLines : oldLines;
+      const newlineCount = (part.value.match(/\n/g) || []).length;
+      if (!part.added) oldLine += newlineCount;
+      if (!part.removed) newLine += newlineCount;
+      if (!part.added && !part.removed) {
+        if (part.value.trim()) gap++;
+        return [];
+      }
+      gaps.push(gap);
+      return [{ ...part, locations: part.value.split('\n').map((_, i) => lines[start + i]) }];
+    });
+  return markMoves(changes, gaps);
+};
+
+// The non-empty lines of a change, each with its recorded section line.
+export const partLines = (part) => (part ? part.value.split('\n') : [])
+  .map((text, i) => ({ text: text.trim(), location: part.locations ? part.locations[i] : null }))
+  .filter(line => line.text);
+
+// Lines shorter than this are too common ("Total", "1.00") to be told apart
+// as moved.
+const MIN_MOVED_LENGTH = 12;
+// Share of a line's text that must survive for it to count as moved with
+// edits rather than replaced.
+const NEAR_IDENTICAL = 0.9;
+const NEAR_MATCH_LIMIT = 2500;
+
+const normalizeLine = (text) => text.replace(/\s+/g, ' ').trim();
+
+const numbersOf = (text) => (text.match(/\d+(?:[.,]\d+)*/g) || []).join(' ');
+
+const lineSimilarity = (a, b) => {
+  const common = diff.diffWordsWithSpace(a, b)
+    .filter(token => !token.added && !token.removed)
+    .reduce((sum, token) => sum + token.value.length, 0);
+  return (2 * common) / (a.length + b.length);
+};
+
+// diffLines reports a relocated paragraph or row as a removal plus an
+// addition. Removed lines that reappear elsewhere, identically or nearly
+// so, are linked to where they reappear: `moves[i]`, for line i of
+// partLines(part), is { part, line } pointing at the other end, or null.
+// A removal and an addition in the same gap between unchanged text
+// (`gaps[i]` for part i) are an edit in place, not a move, even when lines
+// are identical; near-identical lines whose numbers differ are left alone
+// too, since a changed value must be reported as a change.
+const markMoves = (changes, gaps) => {
+  const lines = changes.flatMap((part, partIndex) => partLines(part).map((line, lineIndex) => ({
+    part: partIndex, line: lineIndex, added: Boolean(part.added), key: normalizeLine(line.text),
+  }))).filter(line => line.key.length >= MIN_MOVED_LENGTH);
+  const inPlace = (line, other) => gaps[line.part] === gaps[other.part];
+  const removed = lines.filter(line => !line.added);
+  const added = lines.filter(line => line.added);
+  const matches = [];
+  const matched = new Set();
+
+  const addedByKey = new Map();
+  added.forEach(line => {
+    if (!addedByKey.has(line.key)) addedByKey.set(line.key, []);
+    addedByKey.get(line.key).push(line);
+  });
+  removed.forEach(line => {
+    const candidates = addedByKey.get(line.key) || [];
+    const index = candidates.findIndex(other => !inPlace(line, other));
+    if (index < 0) return;
+    const [other] = candidates.splice(index, 1);
+    matches.push([line, other]);
+    matched.add(line).add(other);
+  });
+
+  const removedLeft = removed.filter(line => !matched.has(line));
+  const addedLeft = added.filter(line => !matched.has(line));
+  if (removedLeft.length * addedLeft.length <= NEAR_MATCH_LIMIT) {
+    removedLeft
+      .flatMap(line => addedLeft
+        .filter(other => !inPlace(line, other) && numbersOf(other.key) === numbersOf(line.key))
+        .map(other => ({ line, other, score: lineSimilarity(line.key, other.key) })))
+      .filter(candidate => candidate.score >= NEAR_IDENTICAL)
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ line, other }) => {
+        if (matched.has(line) || matched.has(other)) return;
+        matches.push([line, other]);
+        matched.add(line).add(other);
+      });
+  }
+  if (matches.length === 0) return changes;
+
+  const moves = changes.map(part => partLines(part).map(() => null));
+  matches.forEach(([line, other]) => {
+    moves[line.part][line.line] = { part: other.part, line: other.line };
+    moves[other.part][other.line] = { part: line.part, line: line.line };
+  });
+  return changes.map((part, i) => (moves[i].some(Boolean) ? { ...part, moves: moves[i] } : part));
+};
+
+// The other end of a moved line, as { part, line, text, location }, or null.
+export const movedLine = (changes, partIndex, lineIndex) => {
+  const move = changes[partIndex].moves && changes[partIndex].moves[lineIndex];
+  if (!move) return null;
+  return { ...move, ...partLines(changes[move.part])[move.line] };
+};
@@ -0,0 +1,76 @@
+import { lineChanges, partLines, movedLine } from './lineDiff';
+
+const text = (...lines) => lines.join('\n');
+const describeParts = (changes) => changes.map(part => [
+  part.added ? '+' : '-',
+  partLines(part).map((line, i) => (part.moves && part.moves[i] ? `${line.text} (moved)` : line.text)),
+]);
+
+describe('lineChanges', () => {
+  test('reports removed and added lines with their section lines', () => {
+    const oldLines = [{ page: 1, lineNumber: 1 }, { page: 1, lineNumber: 2 }];
+    const newLines = [{ page: 2, lineNumber: 1 }, { page: 2, lineNumber: 2 }];
+    const changes = lineChanges(text('Base rate 100', 'Fee 25'), text('Base rate 110', 'Fee 25'), oldLines, newLines);
+    expect(describeParts(changes)).toEqual([['-', ['Base rate 100']], ['+', ['Base rate 110']]]);
+    expect(partLines(changes[0])[0].location).toBe(oldLines[0]);
+    expect(partLines(changes[1])[0].location).toBe(newLines[0]);
+  });
+
+  test('links a paragraph moved to another place', () => {
+    const changes = lineChanges(
+      text('Eligibility rules apply to all risks', 'Base rate 100', 'Fee 25', 'Minimum premium 250'),
+      text('Base rate 100', 'Fee 25', 'Minimum premium 250', 'Eligibility rules apply to all risks')
+    );
+    expect(describeParts(changes)).toEqual([
+      ['-', ['Eligibility rules apply to all risks (moved)']],
+      ['+', ['Eligibility rules apply to all risks (moved)']],
+    ]);
+    expect(movedLine(changes, 0, 0)).toMatchObject({ part: 1, line: 0, text: 'Eligibility rules apply to all risks' });
+  });
+
+  test('links a moved line with small edits', () => {
+    const changes = lineChanges(
+      text('Eligibility rules apply to all risks.', 'Base rate 100', 'Fee 25', 'Minimum premium 250'),
+      text('Base rate 100', 'Fee 25', 'Minimum premium 250', 'Eligibility rules apply to all risks')
+    );
+    expect(movedLine(changes, 0, 0)).toMatchObject({ text: 'Eligibility rules apply to all risks' });
+  });
+
+  test('does not link an edit in place', () => {
+    const changes = lineChanges(
+      text('Header', 'Territory 1 base rate 100', 'Footer'),
+      text('Header', 'Territory 1 base rate 110', 'Footer')
+    );
+    expect(changes.some(part => part.moves)).toBe(false);
+  });
+
+  test('links a line moved past its neighbour', () => {
+    const changes = lineChanges(
+      text('Applies to all territories', 'Deductible options apply', 'Base rate 100'),
+      text('Deductible options apply', 'Applies to all territories', 'Base rate 100')
+    );
+    expect(changes.every(part => part.moves)).toBe(true);
+  });
+
+  test('does not link lines that only differ in spacing in place', () => {
+    const changes = lineChanges(
+      text('Header', 'Deductible  options apply to all risks', 'Footer'),
+      text('Header', 'Deductible options apply to all risks', 'Footer')
+    );
+    expect(changes).toHaveLength(2);
+    expect(changes.some(part => part.moves)).toBe(false);
+  });
+
+  test('does not link moved lines whose numbers changed', () => {
+    const changes = lineChanges(
+      text('Minimum premium for all risks 250', 'Base rate 100', 'Fee 25', 'Other text'),
+      text('Base rate 100', 'Fee 25', 'Other text', 'Minimum premium for all risks 300')
+    );
+    expect(changes.some(part => part.moves)).toBe(false);
+  });
+
+  test('leaves short lines alone', () => {
+    const changes = lineChanges(text('Total', 'Base rate 100', 'Fee 25'), text('Base rate 100', 'Fee 25', 'Total'));
+    expect(changes.some(part => part.moves)).toBe(false);
+  });
+});
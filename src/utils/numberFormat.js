@@ -0,0 +1,89 @@
+// Reads numbers the way they are printed in filings: with the document's
+// digit grouping and decimal mark, currency symbols, percent signs and
+// accounting negatives such as "(1,234)" or "1,234-". Values keep their
+// printed scale: "5%" reads as 5 with `percent` set and "$1,200" as 1200
+// with its `currency`.
+
+export const NUMBER_LOCALES = {
+  en: { label: '1,234.56', group: ',', decimal: '.' },
+  de: { label: '1.234,56', group: '.', decimal: ',' },
+  fr: { label: '1 234,56', group: '\u00a0\u202f ', decimal: ',' },
+  ch: { label: "1'234.56", group: "'’", decimal: '.' },
+};
+
+const CURRENCY_CODE = '(?:USD|EUR|GBP|CAD|CHF|JPY)(?![A-Za-z])';
+const CURRENCY = `[$€£¥]|${CURRENCY_CODE}`;
+// Only the euro sign is written after the amount; a "$" after a number
+// belongs to the next one.
+const CURRENCY_AFTER = `€|${CURRENCY_CODE}`;
+const MINUS = '[-−]';
+// A hyphen right after a letter or digit joins a band or code ("Ages
+// 16-20", "HO-3") rather than signing the number.
+const LEADING_MINUS = `(?<![\\p{L}\\d])${MINUS}`;
+
+const escape = (chars) => chars.replace(/[\\\]^-]/g, '\\$&');
+
+const buildRegex = ({ group, decimal }) => {
+  const g = `[${escape(group)}]`;
+  const d = `[${escape(decimal)}]`;
+  const digits = `\\d{1,3}(?:${g}\\d{3})+(?:${d}\\d+)?|\\d+(?:${d}\\d+)?|${d}\\d+`;
+  return new RegExp(
+    `(\\(\\s*)?(${LEADING_MINUS})?(?:(${CURRENCY})\\s?(${MINUS})?)?(${digits})(\\s?%|\\s?(?:${CURRENCY_AFTER}))?(${MINUS}(?!\\w))?(\\s*\\))?`,
+    'gu'
+  );
+};
+
+const regexes = Object.fromEntries(Object.entries(NUMBER_LOCALES).map(([key, locale]) => [key, buildRegex(locale)]));
+
+const toValue = (digits, { group, decimal }) => {
+  let plain = digits;
+  [...group].forEach(char => { plain = plain.split(char).join(''); });
+  return parseFloat(plain.replace(decimal, '.'));
+};
+
+// Numbers in `text` as { raw, value, currency, percent, start, end }. `raw`
+// is the text as printed, including any symbol or sign that was read, and
+// `start`/`end` delimit the match in `text`.
+export const parseNumbers = (text, locale = 'en') => {
+  const format = NUMBER_LOCALES[locale] || NUMBER_LOCALES.en;
+  const regex = regexes[locale] || regexes.en;
+  return [...text.matchAll(regex)].map(match => {
+    const [whole, open, leadingMinus, currency, innerMinus, digits, suffix, trailingMinus, close] = match;
+    const parenthesized = Boolean(open && close);
+    const negative = Boolean(leadingMinus || innerMinus || trailingMinus) || parenthesized;
+    const percent = Boolean(suffix && suffix.trim() === '%');
+    const symbol = currency || (suffix && !percent ? suffix.trim() : null);
+    const value = negative ? -toValue(digits, format) : toValue(digits, format);
+    // An unmatched parenthesis belongs to the surrounding text.
+    const raw = parenthesized ? whole.trim() : whole.replace(/^\(\s*/, '').replace(/\s*\)$/, '').trim();
+    return {
+      raw,
+      value,
+      currency: symbol ? symbol.trim() : null,
+      percent,
+      start: match.index,
+      end: match.index + whole.length,
+    };
+  });
+};
+
+// Picks between "1,234.56" and "1.234,56" from the number formats that only
+// one of them can produce; grouping by spaces or apostrophes is never
+// guessed, as table columns would run together.
+export const detectLocale = (text) => {
+  const count = (regex) => (text.match(regex) || []).length;
+  const en = count(/\d,\d{3}\.\d/g) + count(/\b\d+\.\d{1,2}\b(?![.,]\d)/g);
+  const de = count(/\d\.\d{3},\d/g) + count(/\b\d+,\d{1,2}\b(?![.,]\d)/g);
+  return de > en ? 'de' : 'en';
+};
+
+const detected = new WeakMap();
+
+// The locale of a parsed document (see parsePdf), detected once from all
+// of its text.
+export const documentLocale = (parsed) => {
+  if (!detected.has(parsed)) {
+    detected.set(parsed, detectLocale(parsed.pages.flat().map(line => line.text).join('\n')));
+  }
+  return detected.get(parsed);
+};
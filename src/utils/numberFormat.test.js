@@ -0,0 +1,59 @@
+import { parseNumbers, detectLocale } from './numberFormat';
+
+const values = (text, locale) => parseNumbers(text, locale).map(number => number.value);
+
+describe('parseNumbers', () => {
+  test('reads digit grouping and decimal mark by locale', () => {
+    expect(values('1,234.56 and 7', 'en')).toEqual([1234.56, 7]);
+    expect(values('1.234,56 and 7', 'de')).toEqual([1234.56, 7]);
+    expect(values('1 234,56 and 7', 'fr')).toEqual([1234.56, 7]);
+    expect(values("1'234.56 and 7", 'ch')).toEqual([1234.56, 7]);
+  });
+
+  test('reads accounting negatives', () => {
+    expect(values('Credit (1,234) applied')).toEqual([-1234]);
+    expect(values('Credit 1,234- applied')).toEqual([-1234]);
+    expect(values('Credit -1,234 applied')).toEqual([-1234]);
+    expect(values('Credit ($1,234) applied')).toEqual([-1234]);
+  });
+
+  test('does not read a dash in a band, code or spaced range as a sign', () => {
+    expect(values('Territory 5 - 12')).toEqual([5, 12]);
+    expect(values('Ages 16-20')).toEqual([16, 20]);
+    expect(values('Form HO-3')).toEqual([3]);
+  });
+
+  test('leaves an unmatched parenthesis to the surrounding text', () => {
+    const [number] = parseNumbers('(see rule 12');
+    expect(number.value).toBe(12);
+    expect(number.raw).toBe('12');
+  });
+
+  test('keeps percents on their printed scale', () => {
+    const [number] = parseNumbers('Rate factor 5.4%');
+    expect(number).toMatchObject({ raw: '5.4%', value: 5.4, percent: true, currency: null });
+  });
+
+  test('reads currency symbols and codes before or after the amount', () => {
+    expect(parseNumbers('$1,200')[0]).toMatchObject({ value: 1200, currency: '$' });
+    expect(parseNumbers('1.200 €', 'de')[0]).toMatchObject({ value: 1200, currency: '€' });
+    expect(parseNumbers('USD 50')[0]).toMatchObject({ value: 50, currency: 'USD' });
+  });
+
+  test('gives the position of each match', () => {
+    const text = 'Limit $500 per claim';
+    const [number] = parseNumbers(text);
+    expect(text.slice(number.start, number.end)).toBe('$500');
+  });
+});
+
+describe('detectLocale', () => {
+  test('tells "1,234.56" from "1.234,56"', () => {
+    expect(detectLocale('Premium 1,234.56 and 12.50')).toBe('en');
+    expect(detectLocale('Prämie 1.234,56 und 12,50')).toBe('de');
+  });
+
+  test('defaults to "1,234.56"', () => {
+    expect(detectLocale('No numbers here')).toBe('en');
+  });
+});
@@ -0,0 +1,187 @@
+import * as diff from 'diff';
+import { lineBox } from './tableExtraction';
+import { parseNumbers } from './numberFormat';
+
+// Compares the numbers of two sections as values rather than as text, so
+// "100.0" and "100" match and small rounding drift can be told apart from
+// real rate moves. Numbers are read in the document's `locale` (see
+// numberFormat), so "5%" and "0.05" match too.
+
+const CURRENCY_CODES = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const UNIT_WORDS = /^\s*(sq\.? ?ft|square feet|miles?|mi|km|feet|ft|years?|yrs?|months?|days?|hours?|hrs?|lbs?|pounds?|kg|tons?|points?|pts|bps|basis points)\b/i;
+const UNIT_ALIASES = {
+  'sq ft': 'sq ft', 'sq. ft': 'sq ft', sqft: 'sq ft', 'square feet': 'sq ft',
+  mile: 'mi', mi: 'mi', feet: 'ft', year: 'yr', yr: 'yr', month: 'mo', day: 'day', hour: 'hr', hr: 'hr',
+  lb: 'lb', pound: 'lb', ton: 'ton', point: 'pt', pt: 'pt', 'basis point': 'bps', bp: 'bps',
+};
+const LABEL_WORDS = 3;
+
+// '%', an ISO currency code or a unit word printed after the number, such
+// as "miles" or "days"; null when the number is bare.
+const unitOf = (number, text) => {
+  if (number.percent) return '%';
+  if (number.currency) return CURRENCY_CODES[number.currency] || number.currency.toUpperCase();
+  const word = text.slice(number.end).match(UNIT_WORDS);
+  if (!word) return null;
+  const unit = word[1].toLowerCase();
+  return UNIT_ALIASES[unit] || UNIT_ALIASES[unit.replace(/s$/, '')] || unit;
+};
+
+// The nearest words on the same line: those just before the number, or
+// just after it when the number opens the line.
+const labelOf = (number, text) => {
+  const words = (part) => part.match(/\p{L}[\p{L}'’-]*/gu) || [];
+  const before = words(text.slice(0, number.start));
+  const label = before.length > 0
+    ? before.slice(-LABEL_WORDS)
+    : words(text.slice(number.end).split(/\d/)[0]).slice(0, LABEL_WORDS);
+  return label.join(' ');
+};
+
+// `location` (page, position, box) is copied onto every number found so changes
+// can be traced back to where they appear in the document. Each number also
+// carries its `unit` and `label` (see above).
+export const extractNumbers = (text, location = {}, locale = 'en') => parseNumbers(text, locale).map(number => ({
+  ...number,
+  unit: unitOf(number, text),
+  label: labelOf(number, text),
+  ...location,
+}));
+
+// Strips binary floating point noise from computed deltas (0.1 + 0.2 etc).
+const clean = (value) => Number(value.toPrecision(12));
+
+// The value of `number` for comparison with `other`. Percents keep their
+// printed scale, so 5% to 5.4% is a change of 0.4; only against a bare
+// number is a percent read as a fraction, so "5%" matches "0.05".
+const comparable = (number, other) => (
+  number.percent && !other.unit ? clean(number.value / 100) : number.value
+);
+
+// Whether the unit changed between two numbers, including a currency or
+// unit added or dropped on one side ("$250" to "250", "250 deductible" to
+// "250%"). The one exception is a percent written out as the same bare
+// fraction: "5%" matches "0.05".
+export const unitsDiffer = (oldNumber, newNumber) => {
+  if (!oldNumber || !newNumber || oldNumber.unit === newNumber.unit) return false;
+  const percentAsFraction = (oldNumber.percent && !newNumber.unit) || (newNumber.percent && !oldNumber.unit);
+  return !percentAsFraction || comparable(oldNumber, newNumber) !== comparable(newNumber, oldNumber);
+};
+
+// Whether a delta between two numbers means anything: they share a unit,
+// or one of them is bare and the other is not a percent, so "$500" to "600"
+// is still a move of 100.
+const sameScale = (oldNumber, newNumber) => !unitsDiffer(oldNumber, newNumber) ||
+  (!oldNumber.unit && newNumber.unit !== '%') || (!newNumber.unit && oldNumber.unit !== '%');
+
+// Whether two texts hold the same number of numbers and at least one of
+// them changed unit, e.g. "$250" and "250%".
+export const unitChanged = (oldText, newText, { oldLocale = 'en', newLocale = 'en' } = {}) => {
+  const oldNumbers = extractNumbers(oldText || '', {}, oldLocale);
+  const newNumbers = extractNumbers(newText || '', {}, newLocale);
+  return oldNumbers.length === newNumbers.length && oldNumbers.some((n, i) => unitsDiffer(n, newNumbers[i]));
+};
+
+export const extractLineNumbers = (lines = [], locale = 'en') => lines.flatMap(line =>
+  extractNumbers(line.text, { page: line.page, position: `Line ${line.lineNumber}` }, locale)
+    .map(number => ({ ...number, box: lineBox(line, number.raw) }))
+);
+
+export const isWithinTolerance = (oldValue, newValue, { absolute = 0, relative = 0 } = {}) => {
+  const delta = Math.abs(newValue - oldValue);
+  if (delta === 0) return true;
+  if (delta <= absolute) return true;
+  return oldValue !== 0 && (delta / Math.abs(oldValue)) * 100 <= relative;
+};
+
+// Whether two numbers are the same value within `tolerance`.
+export const numbersMatch = (oldNumber, newNumber, tolerance) => !unitsDiffer(oldNumber, newNumber) &&
+  isWithinTolerance(comparable(oldNumber, newNumber), comparable(newNumber, oldNumber), tolerance);
+
+const makePair = (oldNumber, newNumber, status) => {
+  const pair = {
+    oldRaw: oldNumber ? oldNumber.raw : '',
+    newRaw: newNumber ? newNumber.raw : '',
+    oldValue: oldNumber ? oldNumber.value : null,
+    newValue: newNumber ? newNumber.value : null,
+    oldUnit: oldNumber ? oldNumber.unit : null,
+    newUnit: newNumber ? newNumber.unit : null,
+    label: (newNumber || oldNumber).label,
+    delta: null,
+    pctChange: null,
+    status,
+    page: (newNumber || oldNumber).page,
+    position: (newNumber || oldNumber).position,
+    oldAnchor: oldNumber && oldNumber.box ? { page: oldNumber.page, box: oldNumber.box } : null,
+    newAnchor: newNumber && newNumber.box ? { page: newNumber.page, box: newNumber.box } : null,
+  };
+  // A delta between two different units, or a percent and a bare number, means nothing.
+  if (oldNumber && newNumber && sameScale(oldNumber, newNumber)) {
+    const oldValue = comparable(oldNumber, newNumber);
+    pair.delta = clean(comparable(newNumber, oldNumber) - oldValue);
+    pair.pctChange = oldValue !== 0 ? clean((pair.delta / Math.abs(oldValue)) * 100) : null;
+  }
+  return pair;
+};
+
+// Delta and % change between two values that each hold exactly one number;
+// null for anything else, such as text or multi-number cells.
+export const numericDelta = (oldText, newText, { oldLocale = 'en', newLocale = 'en' } = {}) => {
+  const oldNumbers = extractNumbers(oldText || '', {}, oldLocale);
+  const newNumbers = extractNumbers(newText || '', {}, newLocale);
+  if (oldNumbers.length !== 1 || newNumbers.length !== 1) return { delta: null, pctChange: null };
+  const { delta, pctChange } = makePair(oldNumbers[0], newNumbers[0]);
+  return { delta, pctChange };
+};
+
+// Aligns the two number sequences and returns one entry per number that
+// differs. Status is 'changed', 'unit' when the unit, currency or percent
+// marker changed, 'added', 'removed', or 'tolerance' for pairs that differ
+// but fall within the configured tolerance.
+export const compareNumbers = (oldNumbers, newNumbers, tolerance = {}) => {
+  const parts = diff.diffArrays(oldNumbers, newNumbers, {
+    comparator: (a, b) => numbersMatch(a, b, tolerance),
+  });
+
+  const pairs = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (!part.added && !part.removed) {
+      for (let k = 0; k < part.count; k++) {
+        const oldNumber = oldNumbers[oldIndex + k];
+        const newNumber = newNumbers[newIndex + k];
+        if (comparable(oldNumber, newNumber) !== comparable(newNumber, oldNumber)) {
+          pairs.push(makePair(oldNumber, newNumber, 'tolerance'));
+        }
+      }
+      oldIndex += part.count;
+      newIndex += part.count;
+    } else if (part.removed) {
+      const next = parts[i + 1];
+      const addedCount = next && next.added ? next.count : 0;
+      for (let k = 0; k < Math.max(part.count, addedCount); k++) {
+        const oldNumber = k < part.count ? oldNumbers[oldIndex + k] : null;
+        const newNumber = k < addedCount ? newNumbers[newIndex + k] : null;
+        const status = !newNumber ? 'removed' : !oldNumber ? 'added' : unitsDiffer(oldNumber, newNumber) ? 'unit' : 'changed';
+        pairs.push(makePair(oldNumber, newNumber, status));
+      }
+      oldIndex += part.count;
+      newIndex += addedCount;
+      if (addedCount) i++;
+    } else {
+      for (let k = 0; k < part.count; k++) {
+        pairs.push(makePair(null, newNumbers[newIndex + k], 'added'));
+      }
+      newIndex += part.count;
+    }
+  }
+  return pairs;
+};
+
+export const formatDelta = (value, suffix = '') => {
+  if (value === null || value === undefined) return '';
+  const sign = value > 0 ? '+' : '';
+  return `${sign}${value.toLocaleString(undefined, { maximumFractionDigits: 4 })}${suffix}`;
+};
@@ -0,0 +1,81 @@
+import {
+  extractNumbers, compareNumbers, numericDelta, isWithinTolerance, unitChanged,
+} from './numericCompare';
+
+const statuses = (oldText, newText, tolerance) =>
+  compareNumbers(extractNumbers(oldText), extractNumbers(newText), tolerance).map(pair => [pair.status, pair.delta]);
+
+describe('isWithinTolerance', () => {
+  test('applies absolute and relative tolerances', () => {
+    expect(isWithinTolerance(100, 100.004, { absolute: 0.01 })).toBe(true);
+    expect(isWithinTolerance(100, 100.5, { absolute: 0.01 })).toBe(false);
+    expect(isWithinTolerance(100, 100.5, { relative: 1 })).toBe(true);
+    expect(isWithinTolerance(0, 0.5, { relative: 100 })).toBe(false);
+  });
+});
+
+describe('compareNumbers', () => {
+  test('matches numbers by value rather than text', () => {
+    expect(statuses('Base rate 100.0', 'Base rate 100')).toEqual([]);
+  });
+
+  test('reports changes, additions and removals with their delta', () => {
+    expect(statuses('Rates 10 20 30', 'Rates 10 25 30')).toEqual([['changed', 5]]);
+    expect(statuses('Rates 10 30', 'Rates 10 20 30')).toEqual([['added', null]]);
+    expect(statuses('Rates 10 20 30', 'Rates 10 30')).toEqual([['removed', null]]);
+  });
+
+  test('flags differences within tolerance', () => {
+    expect(statuses('Factor 1.000', 'Factor 1.004', { absolute: 0.01 })).toEqual([['tolerance', 0.004]]);
+  });
+
+  test('compares percents on their printed scale', () => {
+    expect(statuses('Rate factor 5%', 'Rate factor 5.4%', { absolute: 0.01 })).toEqual([['changed', 0.4]]);
+    const [pair] = compareNumbers(extractNumbers('Rate factor 5%'), extractNumbers('Rate factor 5.4%'));
+    expect(pair.pctChange).toBe(8);
+  });
+
+  test('matches a percent against the same bare decimal', () => {
+    expect(statuses('Rate 5%', 'Rate 0.05')).toEqual([]);
+    expect(statuses('Rate 5%', 'Rate 0.06')).toEqual([['unit', null]]);
+  });
+
+  test('reports a currency or unit dropped as a unit change with its delta', () => {
+    expect(statuses('Limit $250', 'Limit 250')).toEqual([['unit', 0]]);
+    expect(statuses('Radius 50 miles', 'Radius 50')).toEqual([['unit', 0]]);
+    expect(statuses('Limit 250', 'Limit $300')).toEqual([['unit', 50]]);
+  });
+
+  test('reports a unit added, dropped or replaced as a unit change', () => {
+    expect(statuses('250 deductible', '250% deductible')).toEqual([['unit', null]]);
+    expect(statuses('Limit $250', 'Limit 250%')).toEqual([['unit', null]]);
+    expect(statuses('Limit $500', 'Limit 600')).toEqual([['unit', 100]]);
+    expect(statuses('Radius 50 miles', 'Radius 50 km')).toEqual([['unit', null]]);
+  });
+
+  test('keeps labels and units on each pair', () => {
+    const [pair] = compareNumbers(extractNumbers('Deductible $250'), extractNumbers('Deductible 250%'));
+    expect(pair).toMatchObject({ label: 'Deductible', oldUnit: 'USD', newUnit: '%' });
+  });
+
+  test('reads numbers in each document\'s locale', () => {
+    const pairs = compareNumbers(extractNumbers('Prämie 1.234,50', {}, 'de'), extractNumbers('Premium 1,234.50', {}, 'en'));
+    expect(pairs).toEqual([]);
+  });
+});
+
+describe('numericDelta', () => {
+  test('gives the delta of single-number values only', () => {
+    expect(numericDelta('5%', '5.4%')).toEqual({ delta: 0.4, pctChange: 8 });
+    expect(numericDelta('1 2', '3')).toEqual({ delta: null, pctChange: null });
+  });
+});
+
+describe('unitChanged', () => {
+  test('tells unit changes from value changes', () => {
+    expect(unitChanged('Deductible 250', 'Deductible 250%')).toBe(true);
+    expect(unitChanged('Deductible $250', 'Deductible $300')).toBe(false);
+    expect(unitChanged('Deductible $1,200', 'Deductible 1200.00')).toBe(true);
+    expect(unitChanged('Rate 5%', 'Rate 0.05')).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import { createWorker } from 'tesseract.js';
+
+// Recognises the text of pages that have no text layer (scanned filings) so
+// they can be compared like any other page. Each recognised word becomes a
+// positioned item in PDF user space, so line grouping and table rebuilding
+// work on OCR output unchanged.
+
+// Tesseract is tuned for 300 dpi; PDF user space is 72 units per inch.
+const OCR_SCALE = 300 / 72;
+
+// Served from public/ocr (copied there by scripts/copy-ocr-assets.js) so
+// OCR works offline. Paths must be absolute because Tesseract loads them
+// from a nested worker. The core path is the directory, from which
+// Tesseract loads the LSTM engine built for the browser's WASM SIMD
+// support, or the one without SIMD.
+const assetUrl = (file) => new URL(`${process.env.PUBLIC_URL}/ocr/${file}`, self.location.origin).href; // eslint-disable-line no-restricted-globals
+
+// pdf.js renders into canvases from its canvas factory, and the default one
+// needs a document, which a worker does not have.
+export class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+export const hasTextLayer = (textItems) => textItems.some(item => item.str && item.str.trim());
+
+// Returns { read(page, pageNum), close() }. The OCR engine is only started
+// when the first page without text is read, since most filings have none.
+export const createPageReader = () => {
+  let worker = null;
+
+  const read = async (page, pageNum) => {
+    if (!worker) {
+      worker = await createWorker('eng', 1, {
+        workerPath: assetUrl('worker.min.js'),
+        corePath: assetUrl(''),
+        langPath: assetUrl(''),
+      });
+    }
+
+    const viewport = page.getViewport({ scale: OCR_SCALE });
+    const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    const { data } = await worker.recognize(canvas, {}, { blocks: true });
+
+    const words = (data.blocks || []).flatMap(block => block.paragraphs.flatMap(
+      paragraph => paragraph.lines.flatMap(line => line.words)
+    ));
+    const items = words
+      .filter(word => word.text.trim())
+      .map(word => {
+        const [x0, y0] = viewport.convertToPdfPoint(word.bbox.x0, word.bbox.y1);
+        const [x1, y1] = viewport.convertToPdfPoint(word.bbox.x1, word.bbox.y0);
+        return {
+          str: word.text,
+          x: Math.min(x0, x1),
+          y: Math.min(y0, y1),
+          width: Math.abs(x1 - x0),
+          height: Math.abs(y1 - y0),
+          fontName: 'OCR',
+          page: pageNum,
+        };
+      });
+    return { items, confidence: Math.round(data.confidence) };
+  };
+
+  const close = async () => {
+    if (worker) await worker.terminate();
+    worker = null;
+  };
+
+  return { read, close };
+};
@@ -0,0 +1,25 @@
+// Places bookmarks on the page they point to, so that sections sharing a
+// page are cut at their heading and each one holds only its own text.
+
+// Top edge, in PDF units, that an explicit destination scrolls to, or null
+// when it shows the whole page. See "Explicit destinations" in the PDF spec.
+export const destinationTop = (destination) => {
+  const type = destination[1] && destination[1].name;
+  const top = type === 'XYZ' ? destination[3] : (type === 'FitH' || type === 'FitBH') ? destination[2] : null;
+  return typeof top === 'number' ? top : null;
+};
+
+// Index of the first line at or below `top`, where a section whose
+// heading sits at `top` begins. Lines are ordered top to bottom, and a
+// line's y is its baseline, which lies below the top of the heading.
+export const lineAt = (lines, top) => {
+  const index = lines.findIndex(line => line.y <= top);
+  return index === -1 ? lines.length : index;
+};
+
+// Section markers (see sectionBuilder) for bookmarks given as
+// { title, path, level, startPage, top }; a bookmark without a `top`
+// starts at the top of its page.
+export const outlineMarkers = (bookmarks, pages) => bookmarks.map(({ title, path, level, startPage, top }) => (top == null
+  ? { title, path, level, startPage }
+  : { title, path, level, startPage, startLine: lineAt(pages[startPage - 1] || [], top) }));
@@ -0,0 +1,55 @@
+import { destinationTop, lineAt, outlineMarkers } from './outlinePosition';
+import { buildSections } from './sectionBuilder';
+
+// One page of single-cell lines, 14 units apart from a baseline of 700 down.
+const page = (texts) => texts.map((text, i) => ({
+  page: 1, lineNumber: i + 1, y: 700 - i * 14, text, cells: [{ text, x0: 0, x1: 50 }],
+}));
+
+const ref = { num: 4, gen: 0 };
+
+describe('destinationTop', () => {
+  test('reads the top of XYZ and FitH destinations', () => {
+    expect(destinationTop([ref, { name: 'XYZ' }, 72, 705, 0])).toBe(705);
+    expect(destinationTop([ref, { name: 'FitH' }, 675])).toBe(675);
+    expect(destinationTop([ref, { name: 'FitBH' }, 640])).toBe(640);
+  });
+
+  test('has no top for whole-page or unpositioned destinations', () => {
+    expect(destinationTop([ref, { name: 'Fit' }])).toBeNull();
+    expect(destinationTop([ref, { name: 'XYZ' }, null, null, null])).toBeNull();
+    expect(destinationTop([ref, { name: 'FitR' }, 0, 0, 600, 800])).toBeNull();
+  });
+});
+
+describe('lineAt', () => {
+  test('finds the first line at or below the top', () => {
+    const lines = page(['a', 'b', 'c']);
+    expect(lineAt(lines, 705)).toBe(0);
+    expect(lineAt(lines, 686)).toBe(1);
+    expect(lineAt(lines, 680)).toBe(2);
+    expect(lineAt(lines, 600)).toBe(3);
+  });
+});
+
+describe('outlineMarkers', () => {
+  test('gives two bookmarks on the same page only their own lines', () => {
+    const pages = [page(['1. Rules', 'Rules apply.', '2. Rates', 'Base 100'])];
+    const bookmarks = [
+      { title: 'Rules', path: ['Rules'], level: 0, startPage: 1, top: destinationTop([ref, { name: 'XYZ' }, 72, 710, 0]) },
+      { title: 'Rates', path: ['Rates'], level: 0, startPage: 1, top: destinationTop([ref, { name: 'FitH' }, 675]) },
+    ];
+    const sections = buildSections(outlineMarkers(bookmarks, pages), pages);
+    expect(sections.map(section => [section.title, section.lines.map(line => line.text)])).toEqual([
+      ['Rules', ['1. Rules', 'Rules apply.']],
+      ['Rates', ['2. Rates', 'Base 100']],
+    ]);
+  });
+
+  test('starts a bookmark without a top at the top of its page', () => {
+    const pages = [page(['a']), page(['b'])];
+    expect(outlineMarkers([{ title: 'B', path: ['B'], level: 0, startPage: 2, top: null }], pages)).toEqual([
+      { title: 'B', path: ['B'], level: 0, startPage: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+import * as pdfjsLib from 'pdfjs-dist';
+import { toPositionedItems, groupIntoLines } from './tableExtraction';
+import { buildSections } from './sectionBuilder';
+import { OffscreenCanvasFactory, hasTextLayer, createPageReader } from './ocr';
+import { detectHeadings } from './headingDetection';
+import { detectRunningText } from './runningText';
+import { destinationTop, outlineMarkers } from './outlinePosition';
+
+// Splits a PDF into sections, using its bookmarks when it has them, then
+// headings recognised by their font and numbering (mode 'HEADINGS'), and
+// one section per page as a last resort. Pages without a text layer are read
+// with OCR.
+// Besides the sections, the result carries the bookmark `outline` as
+// section markers and the lines of every page, from which sections can be
+// rebuilt (see sectionBuilder), and the `pageBounds` ({ bottom, top } in
+// PDF units) of every page.
+// `onProgress({ done, total, ocrPages })` is called as each page is read.
+// Encrypted files reject with pdf.js' PasswordException until the right
+// `password` is given.
+
+// Text items only carry pdf.js' internal font ids; the PDF's own font names,
+// which tell bold faces apart, are known once the page's fonts are loaded.
+const withFontNames = async (page, items) => {
+  await page.getOperatorList();
+  return items.map(item => (page.commonObjs.has(item.fontName)
+    ? { ...item, fontName: page.commonObjs.get(item.fontName).name || item.fontName }
+    : item));
+};
+export const parsePdf = async (data, { password, onProgress } = {}) => {
+  // Pages are only rendered for OCR, from inside a worker, where pdf.js can
+  // neither create canvases nor load fonts through the document.
+  const pdf = await pdfjsLib.getDocument({ data, password, CanvasFactory: OffscreenCanvasFactory, disableFontFace: true }).promise;
+  const outline = await pdf.getOutline();
+  let sections = [];
+  let parseMode = 'TOC';
+
+  const processOutline = async (outlineItems, level = 0, parentPath = []) => {
+    for (const item of outlineItems) {
+      let pageNum = null;
+      let top = null;
+      const title = item.title ? item.title.trim() : '';
+      const path = title ? [...parentPath, title] : parentPath;
+
+      try {
+        if (item.dest) {
+          try {
+            const destination = await pdf.getDestination(item.dest);
+            if (destination && destination[0]) {
+              const pageIndex = await pdf.getPageIndex(destination[0]);
+              pageNum = pageIndex + 1;
+              top = destinationTop(destination);
+            }
+          } catch (destError) {
+            if (typeof item.dest === 'string') {
+              console.warn(`Could not resolve destination for "${item.title}", trying alternative methods`);
+            } else if (Array.isArray(item.dest)) {
+              try {
+                const pageIndex = await pdf.getPageIndex(item.dest[0]);
+                pageNum = pageIndex + 1;
+                top = destinationTop(item.dest);
+              } catch (altError) {
+                console.warn(`Alternative destination method failed for "${item.title}"`);
+              }
+            }
+          }
+        }
+
+        if (pageNum === null && item.title) {
+          pageNum = sections.length + 1;
+          console.warn(`Using estimated page ${pageNum} for section "${item.title}"`);
+        }
+
+        if (item.title && item.title.trim()) {
+          sections.push({
+            title: item.title.trim(),
+            startPage: pageNum || sections.length + 1,
+            level: level,
+            path,
+            top,
+            hasValidPage: pageNum !== null
+          });
+        }
+
+      } catch (e) {
+        if (item.title && item.title.trim()) {
+          console.warn(`Adding section "${item.title}" without page reference due to error:`, e);
+          sections.push({
+            title: item.title.trim(),
+            startPage: sections.length + 1,
+            level: level,
+            path,
+            hasValidPage: false
+          });
+        }
+      }
+
+      if (item.items && item.items.length > 0) {
+        await processOutline(item.items, level + 1, path);
+      }
+    }
+  };
+
+  if (outline && outline.length > 0) {
+    await processOutline(outline);
+
+    if (sections.length > 0) {
+      const validPageSections = sections.filter(s => s.hasValidPage);
+      const invalidPageSections = sections.filter(s => !s.hasValidPage);
+
+      if (validPageSections.length > 0) {
+        validPageSections.sort((a, b) => a.startPage - b.startPage);
+        invalidPageSections.forEach((section, index) => {
+          section.top = null;
+          section.startPage = Math.ceil(pdf.numPages / (invalidPageSections.length + 1)) * (index + 1);
+        });
+        sections = [...validPageSections, ...invalidPageSections].sort((a, b) => a.startPage - b.startPage);
+      } else {
+        sections.forEach((section, index) => {
+          section.startPage = Math.ceil(pdf.numPages / sections.length) * index + 1;
+        });
+      }
+
+      console.log(`Successfully parsed ${sections.length} sections from TOC`);
+    }
+  }
+
+  if (sections.length === 0) {
+    console.warn("No outline sections could be extracted. Looking for headings, then falling back to page-by-page splitting.");
+    parseMode = 'PAGES';
+    for (let i = 1; i <= pdf.numPages; i++) {
+      sections.push({ title: `Page ${i}`, startPage: i, hasValidPage: true });
+    }
+  } else {
+    sections = sections.map(section => ({
+      ...section,
+      startPage: Math.min(section.startPage, pdf.numPages)
+    }));
+  }
+
+  // OCR confidence (0-100) of each page whose text was recognised.
+  const ocrConfidence = {};
+  const pageReader = createPageReader();
+  // Every page is read, including any before the first bookmark, so that
+  // user-defined sections can be cut anywhere without parsing again.
+  const pages = [];
+  const pageBounds = [];
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      let items = toPositionedItems(textContent.items, pageNum);
+      if (!hasTextLayer(textContent.items)) {
+        // A page OCR could not read is kept empty with zero confidence, so
+        // it is flagged for review rather than failing the whole document.
+        try {
+          const ocr = await pageReader.read(page, pageNum);
+          items = ocr.items;
+          ocrConfidence[pageNum] = ocr.confidence;
+        } catch (ocrError) {
+          console.warn(`OCR failed for page ${pageNum}:`, ocrError);
+          ocrConfidence[pageNum] = 0;
+        }
+      } else if (parseMode === 'PAGES') {
+        items = await withFontNames(page, items);
+      }
+      pages.push(groupIntoLines(items));
+      pageBounds.push({ bottom: page.view[1], top: page.view[3] });
+      if (onProgress) onProgress({ done: pageNum, total: pdf.numPages, ocrPages: Object.keys(ocrConfidence).length });
+    }
+  } finally {
+    await pageReader.close();
+  }
+
+  // Sections that share a page are cut at their heading, so each one holds
+  // only its own text.
+  let markers = outlineMarkers(sections, pages);
+
+  if (parseMode === 'PAGES') {
+    const runningLines = new Set(detectRunningText({ pages, pageBounds }).lineIds);
+    const headings = detectHeadings(pages, runningLines);
+    if (headings.length > 0) {
+      console.log(`Inferred ${headings.length} sections from headings`);
+      markers = headings;
+      parseMode = 'HEADINGS';
+    }
+  }
+
+  await pdf.destroy();
+  return { sections: buildSections(markers, pages, ocrConfidence), outline: markers, pages, pageBounds, ocrConfidence, mode: parseMode };
+};
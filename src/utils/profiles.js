@@ -0,0 +1,146 @@
+import { NO_DEFINITIONS, compilePattern } from './sectionDefinitions';
+import { DEFAULT_IGNORE_RULES } from './ignoreRules';
+
+// Named comparison setups for filings that are compared again every
+// quarter. A profile stores which sections to check, as exact section
+// titles or as a regular expression, together with the comparison options
+// and any section definitions. Profiles live in localStorage and can be
+// shared as JSON files.
+
+const STORAGE_KEY = 'accurarate.profiles';
+const FILE_TYPE = 'accurarate-profiles';
+const FILE_VERSION = 1;
+
+const sectionTitle = (pair) => pair.path.join(' › ');
+
+export const DEFAULT_OPTIONS = {
+  onlyNumeric: false,
+  tableAware: false,
+  tolerance: { absolute: '0', relative: '0' },
+  showWithinTolerance: false,
+  inlineMode: 'off',
+  ignoreRules: DEFAULT_IGNORE_RULES,
+  stripRunningText: false,
+};
+
+const INLINE_MODES = ['off', 'words', 'chars'];
+const DEFINITION_MODES = ['add', 'replace'];
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isNumeric = (value) => (typeof value === 'number' || typeof value === 'string') && value !== '' && !Number.isNaN(Number(value));
+
+const isValidRule = (rule) => isObject(rule) && (rule.type === 'pages'
+  ? Number.isFinite(rule.from) && Number.isFinite(rule.to) && (rule.title === undefined || typeof rule.title === 'string')
+  : rule.type === 'heading' && typeof rule.pattern === 'string');
+
+const isValidIgnoreRule = (rule) => isObject(rule) &&
+  typeof rule.label === 'string' && typeof rule.pattern === 'string' && typeof rule.enabled === 'boolean';
+
+// Options as the app uses them: anything missing or of the wrong type is
+// replaced by its default, and malformed rules are dropped.
+const normalizeOptions = (options) => {
+  const given = isObject(options) ? options : {};
+  const flag = (key) => (typeof given[key] === 'boolean' ? given[key] : DEFAULT_OPTIONS[key]);
+  const tolerance = isObject(given.tolerance) ? given.tolerance : {};
+  return {
+    onlyNumeric: flag('onlyNumeric'),
+    tableAware: flag('tableAware'),
+    tolerance: {
+      absolute: isNumeric(tolerance.absolute) ? String(tolerance.absolute) : DEFAULT_OPTIONS.tolerance.absolute,
+      relative: isNumeric(tolerance.relative) ? String(tolerance.relative) : DEFAULT_OPTIONS.tolerance.relative,
+    },
+    showWithinTolerance: flag('showWithinTolerance'),
+    inlineMode: INLINE_MODES.includes(given.inlineMode) ? given.inlineMode : DEFAULT_OPTIONS.inlineMode,
+    ignoreRules: Array.isArray(given.ignoreRules) ? given.ignoreRules.filter(isValidIgnoreRule) : DEFAULT_OPTIONS.ignoreRules,
+    stripRunningText: flag('stripRunningText'),
+  };
+};
+
+const normalizeDefinitions = (definitions) => {
+  if (!isObject(definitions) || !DEFINITION_MODES.includes(definitions.mode) || !Array.isArray(definitions.rules)) {
+    return NO_DEFINITIONS;
+  }
+  return { mode: definitions.mode, rules: definitions.rules.filter(isValidRule) };
+};
+
+// A profile needs a name and a section selection; everything else falls
+// back to its default, so a hand-edited or older profile cannot put the
+// app in a state it cannot render.
+const isValidProfile = (profile) => isObject(profile) &&
+  typeof profile.name === 'string' && profile.name.trim() !== '' &&
+  isObject(profile.sections) && (typeof profile.sections.pattern === 'string' ||
+    (Array.isArray(profile.sections.titles) && profile.sections.titles.every(title => typeof title === 'string')));
+
+const normalizeProfile = (profile) => ({
+  name: profile.name,
+  sections: typeof profile.sections.pattern === 'string'
+    ? { pattern: profile.sections.pattern }
+    : { titles: profile.sections.titles },
+  options: normalizeOptions(profile.options),
+  sectionDefinitions: normalizeDefinitions(profile.sectionDefinitions),
+});
+
+export const loadProfiles = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(isValidProfile).map(normalizeProfile) : [];
+  } catch (err) {
+    console.warn('Could not read saved profiles:', err);
+    return [];
+  }
+};
+
+export const saveProfiles = (profiles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+};
+
+// Without a pattern, the titles of the currently selected sections are
+// stored.
+export const createProfile = (name, { pairs, selectedSections, pattern, options, sectionDefinitions }) => ({
+  name,
+  sections: pattern
+    ? { pattern }
+    : { titles: pairs.filter(pair => selectedSections[pair.key]).map(sectionTitle) },
+  options,
+  sectionDefinitions,
+});
+
+// Selection for `pairs` under a profile, keyed like selectedSections.
+export const profileSelection = (profile, pairs) => {
+  const regex = profile.sections.pattern ? compilePattern(profile.sections.pattern) : null;
+  const titles = new Set(profile.sections.titles || []);
+  return pairs.reduce((acc, pair) => {
+    acc[pair.key] = regex ? regex.test(sectionTitle(pair)) : titles.has(sectionTitle(pair));
+    return acc;
+  }, {});
+};
+
+export const profilesToJson = (profiles) => JSON.stringify({ type: FILE_TYPE, version: FILE_VERSION, profiles }, null, 2);
+
+// Throws with a message that can be shown to the user when the file is not
+// a profile export.
+export const profilesFromJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!data || data.type !== FILE_TYPE || !Array.isArray(data.profiles)) {
+    throw new Error('The file is not an AccuraRate profile export.');
+  }
+  if (data.version > FILE_VERSION) {
+    throw new Error('The profiles were exported by a newer version of AccuraRate.');
+  }
+  const invalid = data.profiles.filter(profile => !isValidProfile(profile));
+  if (invalid.length > 0) {
+    throw new Error(`${invalid.length} profile(s) in the file are incomplete.`);
+  }
+  return data.profiles.map(normalizeProfile);
+};
+
+// Imported profiles replace saved ones with the same name.
+export const mergeProfiles = (existing, imported) => [
+  ...existing.filter(profile => !imported.some(p => p.name === profile.name)),
+  ...imported,
+];
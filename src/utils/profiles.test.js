@@ -0,0 +1,101 @@
+import {
+  DEFAULT_OPTIONS, loadProfiles, saveProfiles, createProfile, profileSelection, profilesToJson, profilesFromJson, mergeProfiles,
+} from './profiles';
+import { NO_DEFINITIONS } from './sectionDefinitions';
+
+const pairs = [
+  { key: 'a', path: ['Rules'] },
+  { key: 'b', path: ['Rates', 'Territory Factors'] },
+  { key: 'c', path: ['Exhibit 1'] },
+];
+
+const options = {
+  ...DEFAULT_OPTIONS,
+  onlyNumeric: true,
+  tolerance: { absolute: '0.01', relative: '0' },
+  ignoreRules: [{ label: 'Codes', pattern: 'x\\d+', enabled: true }],
+};
+const definitions = { mode: 'replace', rules: [{ type: 'pages', title: 'Exhibits', from: 3, to: 5 }] };
+
+const exportFile = (profiles, extra = {}) => JSON.stringify({ type: 'accurarate-profiles', version: 1, profiles, ...extra });
+
+describe('createProfile and profileSelection', () => {
+  test('stores the titles of the selected sections', () => {
+    const profile = createProfile('Quarterly', { pairs, selectedSections: { a: false, b: true, c: true }, options, sectionDefinitions: definitions });
+    expect(profile.sections).toEqual({ titles: ['Rates › Territory Factors', 'Exhibit 1'] });
+    expect(profileSelection(profile, pairs)).toEqual({ a: false, b: true, c: true });
+  });
+
+  test('selects sections by pattern', () => {
+    const profile = createProfile('Exhibits', { pairs, selectedSections: {}, pattern: '^exhibit', options, sectionDefinitions: definitions });
+    expect(profileSelection(profile, pairs)).toEqual({ a: false, b: false, c: true });
+  });
+});
+
+describe('profilesToJson and profilesFromJson', () => {
+  test('round-trip profiles', () => {
+    const profile = createProfile('Quarterly', { pairs, selectedSections: { b: true }, options, sectionDefinitions: definitions });
+    expect(profilesFromJson(profilesToJson([profile]))).toEqual([profile]);
+  });
+
+  test('reject files that are not profile exports', () => {
+    expect(() => profilesFromJson('{')).toThrow('not valid JSON');
+    expect(() => profilesFromJson(JSON.stringify({ profiles: [] }))).toThrow('not an AccuraRate profile export');
+    expect(() => profilesFromJson(exportFile([], { version: 2 }))).toThrow('newer version');
+  });
+
+  test('reject profiles without a name or section selection', () => {
+    expect(() => profilesFromJson(exportFile([{ name: '', sections: { titles: [] } }]))).toThrow('1 profile(s)');
+    expect(() => profilesFromJson(exportFile([{ name: 'A', sections: { titles: 'Rules' } }]))).toThrow('1 profile(s)');
+    expect(() => profilesFromJson(exportFile([{ name: 'A' }]))).toThrow('1 profile(s)');
+  });
+
+  test('fall back to defaults for malformed options and section definitions', () => {
+    const [profile] = profilesFromJson(exportFile([{
+      name: 'Hand edited',
+      sections: { titles: ['Rules'] },
+      options: { onlyNumeric: 'yes', tolerance: { absolute: 'abc', relative: 2 }, inlineMode: 'lines', ignoreRules: 'x' },
+      sectionDefinitions: { mode: 'add' },
+    }]));
+    expect(profile.options).toEqual({ ...DEFAULT_OPTIONS, tolerance: { absolute: '0', relative: '2' } });
+    expect(profile.sectionDefinitions).toBe(NO_DEFINITIONS);
+  });
+
+  test('drop malformed rules', () => {
+    const [profile] = profilesFromJson(exportFile([{
+      name: 'Rules',
+      sections: { pattern: 'rates' },
+      options: { ignoreRules: [{ label: 'Codes', pattern: 'x', enabled: true }, { pattern: 1 }] },
+      sectionDefinitions: { mode: 'add', rules: [{ type: 'heading', pattern: '^exhibit' }, { type: 'pages', from: 'one' }, null] },
+    }]));
+    expect(profile.options.ignoreRules).toEqual([{ label: 'Codes', pattern: 'x', enabled: true }]);
+    expect(profile.sectionDefinitions).toEqual({ mode: 'add', rules: [{ type: 'heading', pattern: '^exhibit' }] });
+  });
+});
+
+describe('mergeProfiles', () => {
+  test('replaces saved profiles with imported ones of the same name', () => {
+    const saved = [{ name: 'A', version: 1 }, { name: 'B', version: 1 }];
+    expect(mergeProfiles(saved, [{ name: 'B', version: 2 }, { name: 'C', version: 1 }])).toEqual([
+      { name: 'A', version: 1 }, { name: 'B', version: 2 }, { name: 'C', version: 1 },
+    ]);
+  });
+});
+
+describe('loadProfiles', () => {
+  afterEach(() => localStorage.clear());
+
+  test('reads back saved profiles', () => {
+    const profile = createProfile('Quarterly', { pairs, selectedSections: { a: true }, options, sectionDefinitions: definitions });
+    saveProfiles([profile]);
+    expect(loadProfiles()).toEqual([profile]);
+  });
+
+  test('skips unusable stored profiles and unreadable storage', () => {
+    localStorage.setItem('accurarate.profiles', JSON.stringify([{ name: 'A', sections: { titles: [] }, options: null }, { name: '' }]));
+    expect(loadProfiles()).toEqual([{ name: 'A', sections: { titles: [] }, options: DEFAULT_OPTIONS, sectionDefinitions: NO_DEFINITIONS }]);
+    localStorage.setItem('accurarate.profiles', '{');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadProfiles()).toEqual([]);
+  });
+});
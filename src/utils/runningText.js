@@ -0,0 +1,64 @@
+import { buildTable } from './tableExtraction';
+
+// Finds running headers and footers: lines that sit in the top or bottom
+// band of the page and repeat on most pages, such as company names,
+// confidentiality notices and page numbers. Digits are masked before lines
+// are matched, so "Page 3 of 10" repeats as "Page # of #".
+
+// Share of the page height, from the top and from the bottom edge, in
+// which running text is looked for.
+const BAND_RATIO = 0.1;
+// Share of the pages a line must appear on to count as running text.
+const REPEAT_RATIO = 0.5;
+
+const lineKey = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+
+const bandOf = (line, bounds) => {
+  const band = (bounds.top - bounds.bottom) * BAND_RATIO;
+  if (line.y >= bounds.top - band) return 'header';
+  if (line.y <= bounds.bottom + band) return 'footer';
+  return null;
+};
+
+export const lineId = (line) => `${line.page}:${line.lineNumber}`;
+
+const detected = new WeakMap();
+
+// `parsed` is the result of parsePdf. Returns `entries`, one per repeated
+// line as { band, text, pageCount } with the text of its first occurrence,
+// and `lineIds`, identifying every matching line as "page:lineNumber".
+export const detectRunningText = (parsed) => {
+  const cached = detected.get(parsed);
+  if (cached) return cached;
+
+  const { pages, pageBounds = [] } = parsed;
+  const candidates = new Map();
+  pages.forEach((lines, i) => {
+    if (!pageBounds[i]) return;
+    lines.forEach(line => {
+      const band = bandOf(line, pageBounds[i]);
+      const key = line.text && band ? `${band}|${lineKey(line.text)}` : null;
+      if (!key) return;
+      if (!candidates.has(key)) candidates.set(key, { band, text: line.text, pages: new Set(), lines: [] });
+      const candidate = candidates.get(key);
+      candidate.pages.add(i + 1);
+      candidate.lines.push(line);
+    });
+  });
+
+  const minPages = Math.max(2, Math.ceil(pages.length * REPEAT_RATIO));
+  const repeated = [...candidates.values()].filter(candidate => candidate.pages.size >= minPages);
+  const result = {
+    entries: repeated.map(({ band, text, pages: found }) => ({ band, text, pageCount: found.size })),
+    lineIds: repeated.flatMap(candidate => candidate.lines.map(lineId)),
+  };
+  detected.set(parsed, result);
+  return result;
+};
+
+// Copy of `section` without the lines whose ids are in the set `lineIds`.
+export const stripRunningText = (section, lineIds) => {
+  const lines = section.lines.filter(line => !lineIds.has(lineId(line)));
+  if (lines.length === section.lines.length) return section;
+  return { ...section, lines, text: lines.map(line => line.text).join('\n'), table: buildTable(lines) };
+};
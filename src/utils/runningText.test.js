@@ -0,0 +1,58 @@
+import { detectRunningText, stripRunningText, lineId } from './runningText';
+
+// A page of 800 units with a header at the top, body text in the middle and
+// a footer at the bottom.
+const pageLines = (page, body) => [
+  { y: 780, text: 'Acme Insurance Company' },
+  { y: 400, text: body },
+  { y: 20, text: `Page ${page} of 4` },
+].map((line, i) => ({ ...line, page, lineNumber: i + 1, cells: [{ text: line.text, x0: 0, x1: 100 }] }));
+
+const parsedDocument = (count = 4) => {
+  const pages = Array.from({ length: count }, (_, i) => pageLines(i + 1, `Body text of page ${i + 1}`));
+  return { pages, pageBounds: pages.map(() => ({ bottom: 0, top: 800 })) };
+};
+
+describe('detectRunningText', () => {
+  test('finds headers and footers repeated on most pages', () => {
+    const { entries, lineIds } = detectRunningText(parsedDocument());
+    expect(entries).toEqual([
+      { band: 'header', text: 'Acme Insurance Company', pageCount: 4 },
+      { band: 'footer', text: 'Page 1 of 4', pageCount: 4 },
+    ]);
+    expect(lineIds).toHaveLength(8);
+    expect(lineIds).toContain('2:3');
+  });
+
+  test('ignores text repeated outside the top and bottom bands', () => {
+    const parsed = parsedDocument();
+    parsed.pages.forEach(lines => { lines[1].text = 'Same body everywhere'; });
+    expect(detectRunningText(parsed).entries.map(entry => entry.text)).not.toContain('Same body everywhere');
+  });
+
+  test('ignores lines on too few pages', () => {
+    const parsed = parsedDocument();
+    ['Rules', 'Rates', 'Forms'].forEach((title, i) => { parsed.pages[i + 1][0].text = title; });
+    expect(detectRunningText(parsed).entries.map(entry => entry.band)).toEqual(['footer']);
+  });
+
+  test('needs page bounds', () => {
+    expect(detectRunningText({ pages: parsedDocument().pages }).entries).toEqual([]);
+  });
+});
+
+describe('stripRunningText', () => {
+  test('drops the given lines from a section', () => {
+    const parsed = parsedDocument();
+    const lines = parsed.pages.flat();
+    const section = { title: 'All', lines, text: lines.map(line => line.text).join('\n'), table: null };
+    const stripped = stripRunningText(section, new Set(detectRunningText(parsed).lineIds));
+    expect(stripped.lines.map(lineId)).toEqual(['1:2', '2:2', '3:2', '4:2']);
+    expect(stripped.text).toBe(['Body text of page 1', 'Body text of page 2', 'Body text of page 3', 'Body text of page 4'].join('\n'));
+  });
+
+  test('returns the section itself when nothing is dropped', () => {
+    const section = { lines: parsedDocument().pages[0] };
+    expect(stripRunningText(section, new Set())).toBe(section);
+  });
+});
@@ -0,0 +1,298 @@
+// Pairs the sections of the old and new documents even when their bookmark
+// titles were reworded, e.g. "Section 3 – Auto Rates" and
+// "Section 3 - Auto Rates (Revised)".
+
+// Minimum combined score for a fuzzy pair to be proposed.
+const MATCH_THRESHOLD = 0.5;
+// Content is only compared for pairs whose titles are at least this close,
+// unless both unmatched lists are small enough to compare exhaustively.
+const CONTENT_TITLE_FLOOR = 0.3;
+const EXHAUSTIVE_LIMIT = 2500;
+
+export const normalizeTitle = (title) => (title || '')
+  .toLowerCase()
+  .replace(/\s*[([][^)\]]*[)\]]\s*/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const bigrams = (text) => {
+  const grams = new Map();
+  for (let i = 0; i < text.length - 1; i++) {
+    const gram = text.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+// Dice coefficient over character bigrams of the normalized titles.
+export const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  let overlap = 0;
+  leftGrams.forEach((count, gram) => {
+    overlap += Math.min(count, rightGrams.get(gram) || 0);
+  });
+  return (2 * overlap) / (left.length - 1 + right.length - 1);
+};
+
+const wordSet = (text) => new Set((text || '').toLowerCase().match(/[a-z0-9.,%$]+/g) || []);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let shared = 0;
+  small.forEach(word => {
+    if (large.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+// Returns one entry per section of either document, in new-document order,
+// with sections that only exist in the old document placed after the entry
+// holding their old-document predecessor.
+const orderPairs = (pairs, oldCount) => {
+  const ordered = pairs.filter(p => p.newIndex !== null).sort((a, b) => a.newIndex - b.newIndex);
+  for (let oldIndex = 0; oldIndex < oldCount; oldIndex++) {
+    const pair = pairs.find(p => p.oldIndex === oldIndex && p.newIndex === null);
+    if (!pair) continue;
+    const previous = ordered.findIndex(p => p.oldIndex === oldIndex - 1);
+    ordered.splice(previous + 1, 0, pair);
+  }
+  return ordered;
+};
+
+const makePair = (oldSections, newSections, oldIndex, newIndex, score, method) => {
+  const oldSection = oldIndex !== null ? oldSections[oldIndex] : null;
+  const newSection = newIndex !== null ? newSections[newIndex] : null;
+  const oldTitle = oldSection ? oldSection.title : null;
+  const newTitle = newSection ? newSection.title : null;
+  return {
+    key: newSection ? `new:${newSection.id}` : `old:${oldSection.id}`,
+    title: newTitle || oldTitle,
+    path: (newSection || oldSection).path || [newTitle || oldTitle],
+    level: (newSection || oldSection).level || 0,
+    oldIndex,
+    newIndex,
+    oldTitle,
+    newTitle,
+    score,
+    method,
+  };
+};
+
+export const alignSections = (oldSections, newSections) => {
+  const oldPaired = new Set();
+  const newPaired = new Set();
+  const matches = [];
+
+  // Exact matches come first: on the whole normalized outline path, so
+  // repeated titles pair up under the right parent, then on the title alone.
+  // Repeats of the same key pair up in document order.
+  const matchExact = (keyOf) => {
+    const oldByKey = new Map();
+    oldSections.forEach((section, i) => {
+      if (oldPaired.has(i)) return;
+      const key = keyOf(section);
+      if (!oldByKey.has(key)) oldByKey.set(key, []);
+      oldByKey.get(key).push(i);
+    });
+    newSections.forEach((section, newIndex) => {
+      if (newPaired.has(newIndex)) return;
+      const candidates = oldByKey.get(keyOf(section));
+      if (!candidates || candidates.length === 0) return;
+      const oldIndex = candidates.shift();
+      matches.push({ oldIndex, newIndex, score: 1, method: 'exact' });
+      oldPaired.add(oldIndex);
+      newPaired.add(newIndex);
+    });
+  };
+  matchExact(section => (section.path || [section.title]).map(normalizeTitle).join('/'));
+  matchExact(section => normalizeTitle(section.title));
+
+  // Remaining sections are scored on title and content similarity and
+  // paired greedily, best score first.
+  const oldLeft = oldSections.map((_, i) => i).filter(i => !oldPaired.has(i));
+  const newLeft = newSections.map((_, i) => i).filter(i => !newPaired.has(i));
+  const exhaustive = oldLeft.length * newLeft.length <= EXHAUSTIVE_LIMIT;
+  const wordSets = new Map();
+  const wordsOf = (side, index, section) => {
+    const key = `${side}${index}`;
+    if (!wordSets.has(key)) wordSets.set(key, wordSet(section.text));
+    return wordSets.get(key);
+  };
+
+  const candidates = [];
+  oldLeft.forEach(oldIndex => {
+    newLeft.forEach(newIndex => {
+      const titleScore = titleSimilarity(oldSections[oldIndex].title, newSections[newIndex].title);
+      if (!exhaustive && titleScore < CONTENT_TITLE_FLOOR) return;
+      const contentScore = jaccard(
+        wordsOf('o', oldIndex, oldSections[oldIndex]),
+        wordsOf('n', newIndex, newSections[newIndex])
+      );
+      const score = 0.6 * titleScore + 0.4 * contentScore;
+      if (score >= MATCH_THRESHOLD) candidates.push({ oldIndex, newIndex, score });
+    });
+  });
+
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ oldIndex, newIndex, score }) => {
+      if (oldPaired.has(oldIndex) || newPaired.has(newIndex)) return;
+      matches.push({ oldIndex, newIndex, score, method: 'fuzzy' });
+      oldPaired.add(oldIndex);
+      newPaired.add(newIndex);
+    });
+
+  const pairs = matches.map(m => makePair(oldSections, newSections, m.oldIndex, m.newIndex, m.score, m.method));
+  newSections.forEach((_, i) => {
+    if (!newPaired.has(i)) pairs.push(makePair(oldSections, newSections, null, i, 0, 'unmatched'));
+  });
+  oldSections.forEach((_, i) => {
+    if (!oldPaired.has(i)) pairs.push(makePair(oldSections, newSections, i, null, 0, 'unmatched'));
+  });
+  return orderPairs(pairs, oldSections.length);
+};
+
+// Page-by-page documents have no titles worth matching: "Page 7" of the new
+// version is often page 6 of the old one after a page was inserted. Pages
+// are instead matched by the overlap of their word 3-gram shingles,
+// estimated with MinHash signatures. Sections inferred from headings are
+// paired the same way, as their headings are guesses too.
+const SIGNATURE_SIZE = 64;
+// Similarity above which pages in the same order are paired, and the
+// stricter one above which a page out of order counts as moved.
+const PAGE_MATCH_THRESHOLD = 0.3;
+const PAGE_MOVE_THRESHOLD = 0.5;
+
+const shingles = (text) => {
+  const words = (text || '').toLowerCase().match(/[a-z0-9.,%$]+/g) || [];
+  if (words.length < 3) return words;
+  return words.slice(2).map((word, i) => `${words[i]} ${words[i + 1]} ${word}`);
+};
+
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const mix = (hash, seed) => {
+  let x = Math.imul(hash ^ seed, 0x9e3779b1);
+  x ^= x >>> 15;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  return x >>> 0;
+};
+
+// Null for a page without text.
+const minHash = (text) => {
+  const hashes = [...new Set(shingles(text))].map(hashString);
+  if (hashes.length === 0) return null;
+  return Array.from({ length: SIGNATURE_SIZE }, (_, seed) => Math.min(...hashes.map(hash => mix(hash, seed + 1))));
+};
+
+const signatureSimilarity = (a, b) => {
+  if (!a || !b) return a === b ? 1 : 0;
+  return a.filter((value, i) => value === b[i]).length / SIGNATURE_SIZE;
+};
+
+export const alignPages = (oldSections, newSections) => {
+  const oldSignatures = oldSections.map(section => minHash(section.text));
+  const newSignatures = newSections.map(section => minHash(section.text));
+  const width = newSections.length;
+  const similarity = new Float64Array(oldSections.length * width);
+  oldSignatures.forEach((oldSignature, i) => {
+    newSignatures.forEach((newSignature, j) => {
+      similarity[i * width + j] = signatureSimilarity(oldSignature, newSignature);
+    });
+  });
+  const similarityOf = (i, j) => similarity[i * width + j];
+
+  // Pages that kept their order are paired so that the total similarity is
+  // as high as possible; pages left over are inserted or deleted.
+  const best = Array.from({ length: oldSections.length + 1 }, () => new Float64Array(width + 1));
+  for (let i = 1; i <= oldSections.length; i++) {
+    for (let j = 1; j <= width; j++) {
+      const score = similarityOf(i - 1, j - 1);
+      best[i][j] = Math.max(
+        best[i - 1][j],
+        best[i][j - 1],
+        score >= PAGE_MATCH_THRESHOLD ? best[i - 1][j - 1] + score : -Infinity
+      );
+    }
+  }
+  const matches = [];
+  for (let i = oldSections.length, j = width; i > 0 && j > 0;) {
+    const score = similarityOf(i - 1, j - 1);
+    if (score >= PAGE_MATCH_THRESHOLD && best[i][j] === best[i - 1][j - 1] + score) {
+      matches.push({ oldIndex: i - 1, newIndex: j - 1, score, method: 'page' });
+      i--;
+      j--;
+    } else if (best[i][j] === best[i - 1][j]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  // A leftover old page that closely matches a leftover new page was moved.
+  const oldPaired = new Set(matches.map(m => m.oldIndex));
+  const newPaired = new Set(matches.map(m => m.newIndex));
+  const candidates = [];
+  oldSections.forEach((_, oldIndex) => {
+    if (oldPaired.has(oldIndex)) return;
+    newSections.forEach((__, newIndex) => {
+      const score = similarityOf(oldIndex, newIndex);
+      if (!newPaired.has(newIndex) && score >= PAGE_MOVE_THRESHOLD) candidates.push({ oldIndex, newIndex, score });
+    });
+  });
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ oldIndex, newIndex, score }) => {
+      if (oldPaired.has(oldIndex) || newPaired.has(newIndex)) return;
+      matches.push({ oldIndex, newIndex, score, method: 'moved' });
+      oldPaired.add(oldIndex);
+      newPaired.add(newIndex);
+    });
+
+  const pairs = matches.map(m => makePair(oldSections, newSections, m.oldIndex, m.newIndex, m.score, m.method));
+  newSections.forEach((_, i) => {
+    if (!newPaired.has(i)) pairs.push(makePair(oldSections, newSections, null, i, 0, 'unmatched'));
+  });
+  oldSections.forEach((_, i) => {
+    if (!oldPaired.has(i)) pairs.push(makePair(oldSections, newSections, i, null, 0, 'unmatched'));
+  });
+  return orderPairs(pairs, oldSections.length);
+};
+
+// Re-pairs the new section behind `pairKey` with the old section at
+// `oldIndex` (or with nothing when null). Whatever either section was paired
+// with before is left unmatched.
+export const repairSection = (pairs, oldSections, newSections, pairKey, oldIndex) => {
+  const target = pairs.find(p => p.key === pairKey);
+  if (!target || target.newIndex === null) return pairs;
+
+  const next = [];
+  pairs.forEach(pair => {
+    if (pair === target) {
+      if (target.oldIndex !== null && target.oldIndex !== oldIndex) {
+        next.push(makePair(oldSections, newSections, target.oldIndex, null, 0, 'unmatched'));
+      }
+      next.push(makePair(oldSections, newSections, oldIndex, target.newIndex, 1, oldIndex !== null ? 'manual' : 'unmatched'));
+    } else if (oldIndex !== null && pair.oldIndex === oldIndex) {
+      if (pair.newIndex !== null) {
+        next.push(makePair(oldSections, newSections, null, pair.newIndex, 0, 'unmatched'));
+      }
+    } else {
+      next.push(pair);
+    }
+  });
+  return orderPairs(next, oldSections.length);
+};
@@ -0,0 +1,64 @@
+import { alignSections, alignPages, repairSection, titleSimilarity } from './sectionAlignment';
+
+const sectionOf = (title, text, i) => ({ id: `${title}|${i}`, title, path: [title], level: 0, text });
+
+// Distinct page texts with enough words for their shingles to be told apart.
+const pageText = (n) => Array.from({ length: 40 }, (_, i) => `word${n}x${i}`).join(' ');
+const pages = (numbers) => numbers.map((n, i) => sectionOf(`Page ${i + 1}`, pageText(n), i));
+
+const pairing = (pairs) => pairs.map(pair => [pair.oldIndex, pair.newIndex, pair.method]);
+
+describe('alignSections', () => {
+  test('pairs reworded titles', () => {
+    expect(titleSimilarity('Section 3 – Auto Rates', 'Section 3 - Auto Rates (Revised)')).toBeGreaterThan(0.7);
+    const pairs = alignSections(
+      [sectionOf('Rules', 'a', 0), sectionOf('Section 3 – Auto Rates', 'b', 1)],
+      [sectionOf('Rules', 'a', 0), sectionOf('Section 3 - Auto Rates (Revised)', 'b', 1)]
+    );
+    expect(pairs.map(pair => [pair.oldIndex, pair.newIndex])).toEqual([[0, 0], [1, 1]]);
+  });
+});
+
+describe('alignPages', () => {
+  test('pairs identical documents page by page', () => {
+    expect(pairing(alignPages(pages([1, 2, 3]), pages([1, 2, 3])))).toEqual([
+      [0, 0, 'page'], [1, 1, 'page'], [2, 2, 'page'],
+    ]);
+  });
+
+  test('detects an inserted page without shifting later pages', () => {
+    expect(pairing(alignPages(pages([1, 2, 3]), pages([1, 9, 2, 3])))).toEqual([
+      [0, 0, 'page'], [null, 1, 'unmatched'], [1, 2, 'page'], [2, 3, 'page'],
+    ]);
+  });
+
+  test('detects a deleted page', () => {
+    expect(pairing(alignPages(pages([1, 2, 3]), pages([1, 3])))).toEqual([
+      [0, 0, 'page'], [1, null, 'unmatched'], [2, 1, 'page'],
+    ]);
+  });
+
+  test('detects moved pages', () => {
+    const pairs = alignPages(pages([1, 2, 3, 4]), pages([1, 4, 2, 3]));
+    expect(pairs.map(pair => [pair.oldIndex, pair.newIndex])).toEqual([[0, 0], [3, 1], [1, 2], [2, 3]]);
+    expect(pairs.filter(pair => pair.method === 'moved')).toHaveLength(1);
+  });
+
+  test('scores pairs by text similarity', () => {
+    const edited = pages([1, 2]);
+    edited[1] = { ...edited[1], text: `${pageText(2)} extra words added` };
+    const [, second] = alignPages(pages([1, 2]), edited);
+    expect(second.score).toBeGreaterThan(0.5);
+    expect(second.score).toBeLessThan(1);
+  });
+});
+
+describe('repairSection', () => {
+  test('re-pairs a section and leaves its former partners unmatched', () => {
+    const oldSections = pages([1, 2]);
+    const newSections = pages([1, 2]);
+    const pairs = alignPages(oldSections, newSections);
+    const repaired = repairSection(pairs, oldSections, newSections, pairs[1].key, 0);
+    expect(pairing(repaired)).toEqual([[null, 0, 'unmatched'], [0, 1, 'manual'], [1, null, 'unmatched']]);
+  });
+});
@@ -0,0 +1,96 @@
+import { buildTable } from './tableExtraction';
+
+// Cuts a document's lines into sections at a list of start markers. A
+// marker is { title, path, level, startPage } plus, optionally, `startLine`
+// (index into that page's lines) when a section begins mid-page, and
+// `endPage` when it covers a fixed page range instead of running up to the
+// next marker. `pages[n - 1]` holds the lines of page n.
+
+const compareStarts = (a, b) => (a.startPage - b.startPage) || ((a.startLine || 0) - (b.startLine || 0));
+
+// A section is only as reliable as its weakest OCR page.
+const sectionOcr = (ocrConfidence, startPage, endPage) => {
+  const pages = Object.keys(ocrConfidence).map(Number).filter(p => p >= startPage && p <= endPage);
+  if (pages.length === 0) return null;
+  return { pages, confidence: Math.min(...pages.map(p => ocrConfidence[p])) };
+};
+
+const collectLines = (pages, start, end) => {
+  const lines = [];
+  for (let page = Math.max(1, start.page); page <= Math.min(end.page, pages.length); page++) {
+    const pageLines = pages[page - 1] || [];
+    const from = page === start.page ? start.line : 0;
+    const to = page === end.page ? end.line : pageLines.length;
+    lines.push(...pageLines.slice(from, to));
+  }
+  return lines;
+};
+
+export const buildSections = (markers, pages, ocrConfidence = {}) => {
+  const ordered = [...markers].sort(compareStarts);
+
+  // Titles can repeat (e.g. "Territory Factors" under every state), so
+  // each section is identified by its outline path, page and the
+  // occurrence of that path in the document.
+  const pathOccurrences = {};
+
+  const toSection = (marker, start, end, lines) => {
+    const path = marker.path || [marker.title];
+    const pathKey = path.join(' › ');
+    pathOccurrences[pathKey] = (pathOccurrences[pathKey] || 0) + 1;
+    return {
+      id: `${pathKey}|p${start.page}|${pathOccurrences[pathKey]}`,
+      title: marker.title,
+      path,
+      startPage: start.page,
+      level: marker.level || 0,
+      text: lines.map(line => line.text).join('\n'),
+      lines,
+      table: buildTable(lines),
+      ocr: sectionOcr(ocrConfidence, start.page, end.page),
+      userDefined: Boolean(marker.userDefined),
+    };
+  };
+
+  // Just before `marker`; a marker at the top of a page ends the section
+  // before it on the page before.
+  const endBefore = (marker) => (marker.startLine
+    ? { page: marker.startPage, line: marker.startLine }
+    : { page: marker.startPage - 1, line: Infinity });
+
+  const sections = [];
+  // Text before the first marker, such as a cover page or an introduction
+  // ahead of the first heading, is kept as front matter.
+  if (ordered.length > 0) {
+    const leadingStart = { page: 1, line: 0 };
+    const leadingEnd = endBefore(ordered[0]);
+    const leadingLines = collectLines(pages, leadingStart, leadingEnd);
+    if (leadingLines.length > 0) {
+      sections.push(toSection({ title: 'Front matter' }, leadingStart, leadingEnd, leadingLines));
+    }
+  }
+
+  ordered.forEach((marker, i) => {
+    const start = { page: marker.startPage, line: marker.startLine || 0 };
+    const next = ordered[i + 1];
+    const nextEnd = next ? endBefore(next) : { page: pages.length, line: Infinity };
+    if (!marker.endPage) {
+      sections.push(toSection(marker, start, nextEnd, collectLines(pages, start, nextEnd)));
+      return;
+    }
+
+    const end = { page: marker.endPage, line: Infinity };
+    sections.push(toSection(marker, start, end, collectLines(pages, start, end)));
+    // Text after a page range and before the next marker continues the
+    // section the range interrupted, or gets a section of its own, so that
+    // no text drops out of the comparison.
+    const gapStart = { page: marker.endPage + 1, line: 0 };
+    const gapLines = collectLines(pages, gapStart, nextEnd);
+    if (gapLines.length === 0) return;
+    const interrupted = ordered.slice(0, i).reverse().find(previous => !previous.endPage);
+    const lastPage = gapLines[gapLines.length - 1].page;
+    const title = gapStart.page === lastPage ? `Page ${lastPage}` : `Pages ${gapStart.page}–${lastPage}`;
+    sections.push(toSection(interrupted || { title, userDefined: true }, gapStart, nextEnd, gapLines));
+  });
+  return sections;
+};
@@ -0,0 +1,96 @@
+import { buildSections } from './sectionBuilder';
+import { detectHeadings } from './headingDetection';
+
+// `count` pages of `perPage` single-cell lines reading "p<page> l<line>".
+const document = (count, perPage = 3) => Array.from({ length: count }, (_, p) => Array.from({ length: perPage }, (__, l) => {
+  const text = `p${p + 1} l${l + 1}`;
+  return { page: p + 1, lineNumber: l + 1, text, cells: [{ text, x0: 0, x1: 50 }] };
+}));
+
+const summary = (sections) => sections.map(section => [section.title, section.lines.map(line => line.text)]);
+
+describe('buildSections', () => {
+  test('runs each section up to the next marker', () => {
+    const sections = buildSections([
+      { title: 'Rules', startPage: 1 },
+      { title: 'Rates', startPage: 2, startLine: 1 },
+    ], document(2));
+    expect(summary(sections)).toEqual([
+      ['Rules', ['p1 l1', 'p1 l2', 'p1 l3', 'p2 l1']],
+      ['Rates', ['p2 l2', 'p2 l3']],
+    ]);
+  });
+
+  test('keeps text before the first marker as front matter', () => {
+    const sections = buildSections([
+      { title: 'Rules', startPage: 2, startLine: 1 },
+      { title: 'Rates', startPage: 3 },
+    ], document(3, 2));
+    expect(summary(sections)).toEqual([
+      ['Front matter', ['p1 l1', 'p1 l2', 'p2 l1']],
+      ['Rules', ['p2 l2']],
+      ['Rates', ['p3 l1', 'p3 l2']],
+    ]);
+    expect(sections[0]).toMatchObject({ id: 'Front matter|p1|1', startPage: 1, userDefined: false });
+  });
+
+  test('keeps the cover page and introduction ahead of inferred headings', () => {
+    const lineOf = (page, lineNumber, text, bold = false) => ({
+      page, lineNumber, text, height: bold ? 14 : 10,
+      cells: [{ text, x0: 0, x1: 100 }],
+      items: [{ str: text, fontName: bold ? 'Arial-BoldMT' : 'ArialMT' }],
+    });
+    const pages = [
+      [lineOf(1, 1, 'Commercial Auto Rate Filing, effective January 1')],
+      [lineOf(2, 1, 'This filing revises the base rates and territory factors.'), lineOf(2, 2, '1. Rules', true),
+        lineOf(2, 3, 'Rates apply to policies written on or after the effective date.')],
+      [lineOf(3, 1, '2. Rates', true), lineOf(3, 2, 'Base rates are shown in the table below for each territory.')],
+    ];
+    expect(summary(buildSections(detectHeadings(pages), pages))).toEqual([
+      ['Front matter', ['Commercial Auto Rate Filing, effective January 1', 'This filing revises the base rates and territory factors.']],
+      ['1. Rules', ['1. Rules', 'Rates apply to policies written on or after the effective date.']],
+      ['2. Rates', ['2. Rates', 'Base rates are shown in the table below for each territory.']],
+    ]);
+  });
+
+  test('adds no front matter when the first marker opens the document', () => {
+    expect(buildSections([{ title: 'Rules', startPage: 1 }], document(1)).map(section => section.title)).toEqual(['Rules']);
+  });
+
+  test('tells repeated titles apart by occurrence', () => {
+    const sections = buildSections([
+      { title: 'Territory Factors', startPage: 1 },
+      { title: 'Territory Factors', startPage: 2 },
+    ], document(2));
+    expect(sections.map(section => section.id)).toEqual(['Territory Factors|p1|1', 'Territory Factors|p2|2']);
+  });
+
+  test('ends a page range at its last page', () => {
+    const sections = buildSections([{ title: 'Exhibit', startPage: 1, endPage: 1 }, { title: 'Rates', startPage: 2 }], document(2));
+    expect(summary(sections)).toEqual([
+      ['Exhibit', ['p1 l1', 'p1 l2', 'p1 l3']],
+      ['Rates', ['p2 l1', 'p2 l2', 'p2 l3']],
+    ]);
+  });
+
+  test('continues the interrupted section after a page range', () => {
+    const sections = buildSections([
+      { title: 'Rules', startPage: 1 },
+      { title: 'Exhibit', startPage: 2, endPage: 2 },
+      { title: 'Rates', startPage: 4, startLine: 1 },
+    ], document(4, 2));
+    expect(summary(sections)).toEqual([
+      ['Rules', ['p1 l1', 'p1 l2']],
+      ['Exhibit', ['p2 l1', 'p2 l2']],
+      ['Rules', ['p3 l1', 'p3 l2', 'p4 l1']],
+      ['Rates', ['p4 l2']],
+    ]);
+    expect(sections[2].id).toBe('Rules|p3|2');
+  });
+
+  test('gives text after a leading page range a section of its own', () => {
+    const sections = buildSections([{ title: 'Exhibit', startPage: 1, endPage: 1, userDefined: true }], document(3, 1));
+    expect(summary(sections)).toEqual([['Exhibit', ['p1 l1']], ['Pages 2–3', ['p2 l1', 'p3 l1']]]);
+    expect(sections[1].userDefined).toBe(true);
+  });
+});
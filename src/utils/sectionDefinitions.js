@@ -0,0 +1,69 @@
+import { buildSections } from './sectionBuilder';
+
+// User-defined sections for documents whose bookmarks are missing or wrong.
+// A rule is either { type: 'pages', title, from, to }, a fixed page range,
+// or { type: 'heading', pattern }, which starts a section at every line
+// matching the pattern. In 'add' mode the rules are merged with the
+// bookmarks; in 'replace' mode, or when the document has no bookmarks, they
+// are the only sections, and text ahead of the first one is kept as front
+// matter (see buildSections).
+
+export const NO_DEFINITIONS = { mode: 'add', rules: [] };
+
+// Heading patterns are matched case-insensitively, since filings are not
+// consistent about "EXHIBIT 1" versus "Exhibit 1". Returns null when the
+// pattern is not a valid regular expression.
+export const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (err) {
+    return null;
+  }
+};
+
+export const describeRule = (rule) => (rule.type === 'pages'
+  ? `${rule.title || 'Pages'}: pages ${rule.from}–${rule.to}`
+  : `Headings matching /${rule.pattern}/`);
+
+const ruleMarkers = (rule, pages) => {
+  if (rule.type === 'pages') {
+    const from = Math.max(1, rule.from);
+    const to = Math.min(pages.length, rule.to);
+    if (from > to) return [];
+    const title = rule.title || `Pages ${from}–${to}`;
+    return [{ title, path: [title], level: 0, startPage: from, endPage: to, userDefined: true }];
+  }
+
+  const regex = compilePattern(rule.pattern);
+  if (!regex) return [];
+  return pages.flatMap((lines, i) => lines
+    .map((line, lineIndex) => ({ line, lineIndex }))
+    .filter(({ line }) => regex.test(line.text))
+    .map(({ line, lineIndex }) => ({
+      title: line.text.trim(),
+      path: [line.text.trim()],
+      level: 0,
+      startPage: i + 1,
+      startLine: lineIndex,
+      userDefined: true,
+    })));
+};
+
+// Rebuilding runs on every render that needs the sections, so results are
+// kept per parsed document for the current definitions.
+const resolved = new WeakMap();
+
+// `parsed` is the result of parsePdf.
+export const resolveSections = (parsed, definitions) => {
+  if (definitions.rules.length === 0) return parsed.sections;
+  const cached = resolved.get(parsed);
+  if (cached && cached.definitions === definitions) return cached.sections;
+
+  const markers = definitions.rules.flatMap(rule => ruleMarkers(rule, parsed.pages));
+  const replace = definitions.mode === 'replace' || parsed.mode === 'PAGES';
+  const sections = markers.length === 0
+    ? parsed.sections
+    : buildSections(replace ? markers : [...parsed.outline, ...markers], parsed.pages, parsed.ocrConfidence);
+  resolved.set(parsed, { definitions, sections });
+  return sections;
+};
@@ -0,0 +1,85 @@
+import { resolveSections, compilePattern, describeRule } from './sectionDefinitions';
+
+const pageOf = (page, texts) => texts.map((text, i) => ({ page, lineNumber: i + 1, text, cells: [{ text, x0: 0, x1: 50 }] }));
+
+const parsedDocument = () => {
+  const pages = [
+    pageOf(1, ['Rules', 'Rule text']),
+    pageOf(2, ['Exhibit 1', 'Base 100']),
+    pageOf(3, ['Exhibit 2', 'Base 200']),
+  ];
+  const outline = [{ title: 'Rules', path: ['Rules'], level: 0, startPage: 1 }];
+  return { pages, outline, sections: [{ title: 'Rules', lines: pages.flat() }], mode: 'BOOKMARKS', ocrConfidence: {} };
+};
+
+const titles = (sections) => sections.map(section => [section.title, section.lines.map(line => line.text)]);
+
+describe('resolveSections', () => {
+  test('keeps the parsed sections without rules', () => {
+    const parsed = parsedDocument();
+    expect(resolveSections(parsed, { mode: 'add', rules: [] })).toBe(parsed.sections);
+  });
+
+  test('adds heading sections to the bookmarks', () => {
+    const sections = resolveSections(parsedDocument(), { mode: 'add', rules: [{ type: 'heading', pattern: '^exhibit \\d' }] });
+    expect(titles(sections)).toEqual([
+      ['Rules', ['Rules', 'Rule text']],
+      ['Exhibit 1', ['Exhibit 1', 'Base 100']],
+      ['Exhibit 2', ['Exhibit 2', 'Base 200']],
+    ]);
+  });
+
+  test('replaces the bookmarks with page ranges in replace mode', () => {
+    const sections = resolveSections(parsedDocument(), {
+      mode: 'replace',
+      rules: [{ type: 'pages', title: 'Exhibits', from: 2, to: 9 }],
+    });
+    expect(titles(sections)).toEqual([
+      ['Front matter', ['Rules', 'Rule text']],
+      ['Exhibits', ['Exhibit 1', 'Base 100', 'Exhibit 2', 'Base 200']],
+    ]);
+  });
+
+  test('keeps the text before the first heading match in replace mode', () => {
+    const sections = resolveSections(parsedDocument(), { mode: 'replace', rules: [{ type: 'heading', pattern: '^Exhibit \\d+' }] });
+    expect(titles(sections)).toEqual([
+      ['Front matter', ['Rules', 'Rule text']],
+      ['Exhibit 1', ['Exhibit 1', 'Base 100']],
+      ['Exhibit 2', ['Exhibit 2', 'Base 200']],
+    ]);
+  });
+
+  test('keeps the text before a page range of a page-by-page document', () => {
+    const parsed = { ...parsedDocument(), mode: 'PAGES' };
+    const sections = resolveSections(parsed, { mode: 'add', rules: [{ type: 'pages', title: 'Last exhibit', from: 3, to: 3 }] });
+    expect(titles(sections)).toEqual([
+      ['Front matter', ['Rules', 'Rule text', 'Exhibit 1', 'Base 100']],
+      ['Last exhibit', ['Exhibit 2', 'Base 200']],
+    ]);
+  });
+
+  test('keeps the text after an added page range in the comparison', () => {
+    const sections = resolveSections(parsedDocument(), {
+      mode: 'add',
+      rules: [{ type: 'pages', title: 'First exhibit', from: 2, to: 2 }],
+    });
+    expect(titles(sections)).toEqual([
+      ['Rules', ['Rules', 'Rule text']],
+      ['First exhibit', ['Exhibit 1', 'Base 100']],
+      ['Rules', ['Exhibit 2', 'Base 200']],
+    ]);
+  });
+
+  test('ignores invalid heading patterns', () => {
+    const parsed = parsedDocument();
+    expect(compilePattern('(')).toBeNull();
+    expect(resolveSections(parsed, { mode: 'add', rules: [{ type: 'heading', pattern: '(' }] })).toBe(parsed.sections);
+  });
+});
+
+describe('describeRule', () => {
+  test('describes both kinds of rule', () => {
+    expect(describeRule({ type: 'pages', title: 'Exhibits', from: 2, to: 4 })).toBe('Exhibits: pages 2–4');
+    expect(describeRule({ type: 'heading', pattern: '^exhibit' })).toBe('Headings matching /^exhibit/');
+  });
+});
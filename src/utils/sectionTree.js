@@ -0,0 +1,29 @@
+// Helpers for showing the document-ordered section pairs as the bookmark
+// tree they came from. A pair's subtree is every following pair with a
+// deeper outline level, up to the next pair at its own level or above.
+
+const subtreeEnd = (pairs, index) => {
+  let end = index + 1;
+  while (end < pairs.length && pairs[end].level > pairs[index].level) end++;
+  return end;
+};
+
+export const subtreeKeys = (pairs, key) => {
+  const index = pairs.findIndex(pair => pair.key === key);
+  if (index < 0) return [];
+  return pairs.slice(index, subtreeEnd(pairs, index)).map(pair => pair.key);
+};
+
+// Pairs that are not hidden under a collapsed ancestor, each flagged with
+// whether it has children of its own.
+export const visibleTree = (pairs, collapsed) => {
+  const visible = [];
+  let index = 0;
+  while (index < pairs.length) {
+    const pair = pairs[index];
+    const end = subtreeEnd(pairs, index);
+    visible.push({ pair, hasChildren: end > index + 1 });
+    index = collapsed[pair.key] ? end : index + 1;
+  }
+  return visible;
+};
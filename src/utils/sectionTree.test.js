@@ -0,0 +1,34 @@
+import { subtreeKeys, visibleTree } from './sectionTree';
+
+// Pairs in document order, as [key, level].
+const pairs = [['rules', 0], ['eligibility', 1], ['vehicles', 2], ['drivers', 1], ['rates', 0]]
+  .map(([key, level]) => ({ key, level }));
+
+describe('subtreeKeys', () => {
+  test('selects a pair and everything nested under it', () => {
+    expect(subtreeKeys(pairs, 'rules')).toEqual(['rules', 'eligibility', 'vehicles', 'drivers']);
+    expect(subtreeKeys(pairs, 'eligibility')).toEqual(['eligibility', 'vehicles']);
+    expect(subtreeKeys(pairs, 'rates')).toEqual(['rates']);
+  });
+
+  test('selects nothing for an unknown key', () => {
+    expect(subtreeKeys(pairs, 'forms')).toEqual([]);
+  });
+});
+
+describe('visibleTree', () => {
+  const visible = (collapsed) => visibleTree(pairs, collapsed).map(({ pair, hasChildren }) => [pair.key, hasChildren]);
+
+  test('shows every pair when nothing is collapsed', () => {
+    expect(visible({})).toEqual([
+      ['rules', true], ['eligibility', true], ['vehicles', false], ['drivers', false], ['rates', false],
+    ]);
+  });
+
+  test('hides the pairs under a collapsed node but keeps the node', () => {
+    expect(visible({ eligibility: true })).toEqual([
+      ['rules', true], ['eligibility', true], ['drivers', false], ['rates', false],
+    ]);
+    expect(visible({ rules: true })).toEqual([['rules', true], ['rates', false]]);
+  });
+});
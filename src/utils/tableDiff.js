@@ -0,0 +1,125 @@
+import * as diff from 'diff';
+
+// Lines up two tables produced by buildTable by their row labels and column
+// headers and reports changes cell by cell.
+
+const normalize = (text) => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Repeated labels (e.g. two "Total" rows) are told apart by occurrence.
+export const toKeys = (labels) => {
+  const seen = new Map();
+  return labels.map(label => {
+    const base = normalize(label);
+    const occurrence = seen.get(base) || 0;
+    seen.set(base, occurrence + 1);
+    return `${base}#${occurrence}`;
+  });
+};
+
+// New-document order, with keys that only exist in the old document slotted
+// in right after the key that preceded them there.
+const mergeKeys = (oldKeys, newKeys) => {
+  const newSet = new Set(newKeys);
+  const merged = [...newKeys];
+  oldKeys.forEach((key, i) => {
+    if (newSet.has(key)) return;
+    let position = 0;
+    for (let j = i - 1; j >= 0; j--) {
+      const previous = merged.indexOf(oldKeys[j]);
+      if (previous >= 0) {
+        position = previous + 1;
+        break;
+      }
+    }
+    merged.splice(position, 0, key);
+  });
+  return merged;
+};
+
+// Rows present in both tables but outside their longest common ordering
+// are the ones that were moved.
+const findMovedKeys = (oldKeys, newKeys) => {
+  const oldSet = new Set(oldKeys);
+  const newSet = new Set(newKeys);
+  const commonOld = oldKeys.filter(key => newSet.has(key));
+  const commonNew = newKeys.filter(key => oldSet.has(key));
+  const moved = new Set();
+  diff.diffArrays(commonOld, commonNew).forEach(part => {
+    if (part.added) part.value.forEach(key => moved.add(key));
+  });
+  return moved;
+};
+
+const emptyTable = { columns: [], rows: [] };
+
+export const diffTables = (oldTable, newTable, { compareCell = (a, b) => normalize(a) === normalize(b) } = {}) => {
+  const oldT = oldTable || emptyTable;
+  const newT = newTable || emptyTable;
+
+  // Column 0 holds the row labels, so only the data columns are aligned.
+  const oldColumnKeys = toKeys(oldT.columns.slice(1));
+  const newColumnKeys = toKeys(newT.columns.slice(1));
+  const columns = mergeKeys(oldColumnKeys, newColumnKeys).map(key => {
+    const oldIndex = oldColumnKeys.indexOf(key);
+    const newIndex = newColumnKeys.indexOf(key);
+    return {
+      label: newIndex >= 0 ? newT.columns[newIndex + 1] : oldT.columns[oldIndex + 1],
+      oldIndex: oldIndex >= 0 ? oldIndex + 1 : -1,
+      newIndex: newIndex >= 0 ? newIndex + 1 : -1,
+      status: oldIndex < 0 ? 'added' : newIndex < 0 ? 'removed' : 'same',
+    };
+  });
+
+  const oldRowKeys = toKeys(oldT.rows.map(r => r.label));
+  const newRowKeys = toKeys(newT.rows.map(r => r.label));
+  const moved = findMovedKeys(oldRowKeys, newRowKeys);
+
+  const rows = mergeKeys(oldRowKeys, newRowKeys).map(key => {
+    const oldRow = oldT.rows[oldRowKeys.indexOf(key)] || null;
+    const newRow = newT.rows[newRowKeys.indexOf(key)] || null;
+
+    const cells = columns.map(column => {
+      const oldValue = oldRow && column.oldIndex >= 0 ? oldRow.cells[column.oldIndex] || '' : '';
+      const newValue = newRow && column.newIndex >= 0 ? newRow.cells[column.newIndex] || '' : '';
+      let status = 'same';
+      if (!oldRow) status = 'added';
+      else if (!newRow) status = 'removed';
+      else if (column.status !== 'same') status = column.status;
+      else if (!compareCell(oldValue, newValue)) status = 'changed';
+      return { oldValue, newValue, status };
+    });
+
+    let status = 'same';
+    if (!oldRow) status = 'added';
+    else if (!newRow) status = 'removed';
+    else if (cells.some(cell => cell.status === 'changed')) status = 'changed';
+
+    return {
+      label: (newRow || oldRow).label,
+      status,
+      moved: moved.has(key),
+      cells,
+      oldRow,
+      newRow,
+    };
+  });
+
+  const summary = {
+    changedCells: rows.reduce((sum, row) => sum + row.cells.filter(c => c.status === 'changed').length, 0),
+    addedRows: rows.filter(r => r.status === 'added').length,
+    removedRows: rows.filter(r => r.status === 'removed').length,
+    movedRows: rows.filter(r => r.moved).length,
+    addedColumns: columns.filter(c => c.status === 'added').length,
+    removedColumns: columns.filter(c => c.status === 'removed').length,
+  };
+
+  return {
+    labelHeader: newT.columns[0] || oldT.columns[0] || '',
+    columns,
+    rows,
+    summary,
+    hasChanges: Object.values(summary).some(count => count > 0),
+  };
+};
+
+export const describeCell = (row, column) => `row '${row.label}', column '${column.label}'`;
@@ -0,0 +1,68 @@
+import { diffTables, toKeys } from './tableDiff';
+
+const table = (columns, ...rows) => ({ columns, rows: rows.map(cells => ({ label: cells[0], cells })) });
+const statuses = (result) => result.rows.map(row => [row.label, row.status, row.cells.map(cell => cell.status)]);
+
+describe('toKeys', () => {
+  test('tells repeated labels apart by occurrence', () => {
+    expect(toKeys(['Total', 'Detail', 'total '])).toEqual(['total#0', 'detail#0', 'total#1']);
+  });
+});
+
+describe('diffTables', () => {
+  const columns = ['Coverage', 'Premium', 'Limit'];
+
+  test('reports changed cells by row and column', () => {
+    const result = diffTables(
+      table(columns, ['Liability', '100', '1,000'], ['Property', '50', '500']),
+      table(columns, ['Liability', '110', '1,000'], ['Property', '50', '500'])
+    );
+    expect(statuses(result)).toEqual([
+      ['Liability', 'changed', ['changed', 'same']],
+      ['Property', 'same', ['same', 'same']],
+    ]);
+    expect(result.summary.changedCells).toBe(1);
+    expect(result.hasChanges).toBe(true);
+  });
+
+  test('keeps repeated row labels apart', () => {
+    const result = diffTables(
+      table(columns, ['Total', '100', '1,000'], ['Detail', '5', '50'], ['Total', '200', '2,000']),
+      table(columns, ['Total', '100', '1,000'], ['Detail', '5', '50'], ['Total', '250', '2,000'])
+    );
+    expect(statuses(result)).toEqual([
+      ['Total', 'same', ['same', 'same']],
+      ['Detail', 'same', ['same', 'same']],
+      ['Total', 'changed', ['changed', 'same']],
+    ]);
+  });
+
+  test('reports added, removed and moved rows', () => {
+    const result = diffTables(
+      table(columns, ['Liability', '100', '1'], ['Property', '50', '2'], ['Auto', '75', '3']),
+      table(columns, ['Property', '50', '2'], ['Liability', '100', '1'], ['Marine', '20', '4'])
+    );
+    expect(result.summary).toMatchObject({ addedRows: 1, removedRows: 1, movedRows: 1, changedCells: 0 });
+    expect(result.rows.find(row => row.label === 'Marine').status).toBe('added');
+    expect(result.rows.find(row => row.label === 'Auto').status).toBe('removed');
+  });
+
+  test('aligns columns by header', () => {
+    const result = diffTables(
+      table(['Coverage', 'Premium', 'Limit'], ['Liability', '100', '1']),
+      table(['Coverage', 'Limit', 'Deductible'], ['Liability', '1', '10'])
+    );
+    expect(result.columns.map(column => [column.label, column.status])).toEqual([
+      ['Premium', 'removed'], ['Limit', 'same'], ['Deductible', 'added'],
+    ]);
+  });
+
+  test('compares cells with a custom comparison', () => {
+    const result = diffTables(
+      table(columns, ['Liability', '100.0', '1,000']),
+      table(columns, ['Liability', '100', '1000']),
+      { compareCell: (a, b) => parseFloat(a.replace(/,/g, '')) === parseFloat(b.replace(/,/g, '')) }
+    );
+    expect(result.hasChanges).toBe(false);
+  });
+});
@@ -0,0 +1,169 @@
+// Rebuilds rows and columns from pdf.js text items. Each item carries a
+// transform matrix whose [4]/[5] entries are its x/y origin in PDF user
+// space (y grows upwards), which is all we need to recover the layout.
+
+// Gap between two items, relative to font height, above which they are
+// treated as separate cells rather than words of the same cell.
+const CELL_GAP_RATIO = 1;
+// Gap above which two items of the same cell are joined with a space.
+const WORD_GAP_RATIO = 0.15;
+
+export const toPositionedItems = (textItems, pageNum) => textItems
+  .filter(item => item.str && item.str.trim())
+  .map(item => ({
+    str: item.str,
+    x: item.transform[4],
+    y: item.transform[5],
+    width: item.width || 0,
+    height: item.height || Math.abs(item.transform[3]) || 10,
+    fontName: item.fontName,
+    page: pageNum,
+  }));
+
+const splitCells = (items) => {
+  const cells = [];
+  items.forEach(item => {
+    const cell = cells[cells.length - 1];
+    const gap = cell ? item.x - cell.x1 : Infinity;
+    if (cell && gap < item.height * CELL_GAP_RATIO) {
+      const needsSpace = gap > item.height * WORD_GAP_RATIO && !/\s$/.test(cell.text) && !/^\s/.test(item.str);
+      cell.text += (needsSpace ? ' ' : '') + item.str;
+      cell.x1 = Math.max(cell.x1, item.x + item.width);
+    } else {
+      cells.push({ text: item.str, x0: item.x, x1: item.x + item.width });
+    }
+  });
+  return cells.map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }));
+};
+
+// Groups positioned items into visual lines (top to bottom, left to right)
+// and splits each line into cells at wide horizontal gaps.
+export const groupIntoLines = (items) => {
+  const sorted = [...items].sort((a, b) => (a.page - b.page) || (b.y - a.y) || (a.x - b.x));
+  const lines = [];
+  sorted.forEach(item => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(2, Math.min(item.height, line ? line.height : item.height) * 0.5);
+    if (line && line.page === item.page && Math.abs(line.y - item.y) <= tolerance) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ page: item.page, y: item.y, height: item.height, items: [item] });
+    }
+  });
+
+  const pageLineCounts = {};
+  return lines.map(line => {
+    const lineItems = line.items.sort((a, b) => a.x - b.x);
+    const cells = splitCells(lineItems);
+    pageLineCounts[line.page] = (pageLineCounts[line.page] || 0) + 1;
+    return {
+      ...line,
+      lineNumber: pageLineCounts[line.page],
+      items: lineItems,
+      x0: cells[0].x0,
+      x1: Math.max(...cells.map(c => c.x1)),
+      cells,
+      text: cells.map(c => c.text).join(' '),
+    };
+  });
+};
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => (b[1] - a[1]) || (b[0] - a[0]))[0][0];
+};
+
+// Column bands come from the lines that have the most common cell count, so
+// a title or footnote spanning several columns cannot merge them together.
+const findColumnBands = (tableLines) => {
+  const typicalCount = mostCommon(tableLines.map(l => l.cells.length));
+  const intervals = tableLines
+    .filter(l => l.cells.length === typicalCount)
+    .flatMap(l => l.cells.map(c => [c.x0, c.x1]))
+    .sort((a, b) => a[0] - b[0]);
+
+  const bands = [];
+  intervals.forEach(([x0, x1]) => {
+    const band = bands[bands.length - 1];
+    if (band && x0 <= band[1]) {
+      band[1] = Math.max(band[1], x1);
+    } else {
+      bands.push([x0, x1]);
+    }
+  });
+  return bands;
+};
+
+const bandIndexFor = (cell, bands) => {
+  let best = 0;
+  let bestScore = -Infinity;
+  bands.forEach(([x0, x1], index) => {
+    const overlap = Math.min(cell.x1, x1) - Math.max(cell.x0, x0);
+    const distance = Math.abs((cell.x0 + cell.x1) / 2 - (x0 + x1) / 2);
+    const score = overlap > 0 ? overlap : -distance;
+    if (score > bestScore) {
+      bestScore = score;
+      best = index;
+    }
+  });
+  return best;
+};
+
+// Builds a single table from every multi-cell line of a section. The first
+// such line is taken as the column header and the first cell of each row as
+// its label. Header rows repeated on continuation pages are dropped.
+const isTableLine = (line) => line.cells.length >= 2;
+
+export const buildTable = (lines) => {
+  const tableLines = lines.filter(isTableLine);
+  if (tableLines.length < 2) return null;
+
+  const bands = findColumnBands(tableLines);
+  if (bands.length < 2) return null;
+
+  const toRow = (line) => {
+    const cells = bands.map(() => '');
+    const cellBoxes = bands.map(() => null);
+    line.cells.forEach(cell => {
+      const index = bandIndexFor(cell, bands);
+      cells[index] = cells[index] ? `${cells[index]} ${cell.text}` : cell.text;
+      const box = cellBoxes[index];
+      cellBoxes[index] = box
+        ? { ...box, x: Math.min(box.x, cell.x0), width: Math.max(box.x + box.width, cell.x1) - Math.min(box.x, cell.x0) }
+        : { x: cell.x0, y: line.y, width: cell.x1 - cell.x0, height: line.height };
+    });
+    return { cells, cellBoxes };
+  };
+
+  const [headerLine, ...bodyLines] = tableLines;
+  const header = toRow(headerLine).cells;
+  const headerKey = header.join('\u0000');
+  const columns = header.map((text, i) => text || `Column ${i + 1}`);
+
+  const rows = bodyLines
+    .map(line => ({ line, ...toRow(line) }))
+    .filter(({ cells }) => cells.join('\u0000') !== headerKey)
+    .map(({ line, cells, cellBoxes }) => ({
+      label: cells[0] || `Row ${line.page}:${Math.round(line.y)}`,
+      cells,
+      cellBoxes,
+      page: line.page,
+      y: line.y,
+    }));
+
+  return rows.length > 0 ? { columns, rows } : null;
+};
+
+// The lines of `section` that are not part of its table: every line when
+// it has none.
+export const linesOutsideTable = (section) => (section.table ? section.lines.filter(line => !isTableLine(line)) : section.lines);
+
+// Bounding box of a line, or of the item within it that contains `text`,
+// in PDF user space with y at the text baseline.
+export const lineBox = (line, text) => {
+  const item = text ? line.items.find(i => i.str.includes(text)) : null;
+  if (item) return { x: item.x, y: item.y, width: item.width, height: item.height };
+  return { x: line.x0, y: line.y, width: line.x1 - line.x0, height: line.height };
+};
@@ -0,0 +1,58 @@
+import { toPositionedItems, groupIntoLines, buildTable, lineBox } from './tableExtraction';
+
+// pdf.js text items for rows of cells, one row per line, top to bottom.
+const textItems = (rows) => rows.flatMap((cells, row) => cells.map((str, column) => ({
+  str, transform: [10, 0, 0, 10, 50 + column * 100, 700 - row * 14], width: 40, height: 10,
+})));
+
+const linesOf = (rows) => groupIntoLines(toPositionedItems(textItems(rows), 1));
+
+describe('groupIntoLines', () => {
+  test('groups items into lines and cells', () => {
+    const lines = linesOf([['Territory', 'Base'], ['North', '100']]);
+    expect(lines.map(line => [line.lineNumber, line.cells.map(cell => cell.text)])).toEqual([
+      [1, ['Territory', 'Base']],
+      [2, ['North', '100']],
+    ]);
+  });
+
+  test('joins close items into one cell', () => {
+    const items = toPositionedItems([
+      { str: 'Base', transform: [10, 0, 0, 10, 50, 700], width: 20, height: 10 },
+      { str: 'rate', transform: [10, 0, 0, 10, 72, 700], width: 20, height: 10 },
+    ], 1);
+    expect(groupIntoLines(items)[0].cells.map(cell => cell.text)).toEqual(['Base rate']);
+  });
+
+  test('skips empty items', () => {
+    expect(toPositionedItems([{ str: ' ', transform: [1, 0, 0, 1, 0, 0] }], 1)).toEqual([]);
+  });
+});
+
+describe('buildTable', () => {
+  test('takes the first multi-cell line as the header and first cells as row labels', () => {
+    const table = buildTable(linesOf([['Territory', 'Base', 'Factor'], ['North', '100', '1.10'], ['South', '120', '1.25']]));
+    expect(table.columns).toEqual(['Territory', 'Base', 'Factor']);
+    expect(table.rows.map(row => [row.label, row.cells])).toEqual([
+      ['North', ['North', '100', '1.10']],
+      ['South', ['South', '120', '1.25']],
+    ]);
+  });
+
+  test('drops header rows repeated on continuation pages', () => {
+    const table = buildTable(linesOf([['Territory', 'Base'], ['North', '100'], ['Territory', 'Base'], ['South', '120']]));
+    expect(table.rows.map(row => row.label)).toEqual(['North', 'South']);
+  });
+
+  test('returns null without at least two multi-cell lines', () => {
+    expect(buildTable(linesOf([['Only prose here']]))).toBeNull();
+    expect(buildTable(linesOf([['Territory', 'Base']]))).toBeNull();
+  });
+});
+
+describe('lineBox', () => {
+  test('boxes the item holding the text', () => {
+    const [, line] = linesOf([['Territory', 'Base'], ['North', '100']]);
+    expect(lineBox(line, '100')).toEqual({ x: 150, y: 686, width: 40, height: 10 });
+  });
+});
@@ -0,0 +1,159 @@
+import * as diff from 'diff';
+import { alignSections, alignPages } from './sectionAlignment';
+import { extractLineNumbers, numbersMatch } from './numericCompare';
+import { toKeys } from './tableDiff';
+import { parseNumbers } from './numberFormat';
+
+// Lays out the values of each compared section across every loaded
+// version, oldest first, so a rate can be followed through a filing's
+// revisions. Tabular sections contribute one value per table cell, keyed
+// by row and column like the table diff, other sections one value per
+// number, aligned across versions like the numeric comparison so that an
+// inserted number does not shift the ones after it. Values are compared as
+// numbers where they are numbers, so "100.0" to "100" is not a change.
+
+// Cell values of a table as key => { label, value, number }, with `number`
+// set for cells that hold a single number.
+const tableValues = (table, locale) => {
+  const values = new Map();
+  const columnKeys = toKeys(table.columns.slice(1));
+  const rowKeys = toKeys(table.rows.map(row => row.label));
+  table.rows.forEach((row, r) => {
+    const occurrence = Number(rowKeys[r].split('#').pop());
+    const rowLabel = occurrence > 0 ? `${row.label} (${occurrence + 1})` : row.label;
+    row.cells.slice(1).forEach((cell, i) => {
+      const numbers = parseNumbers(cell, locale);
+      values.set(`${rowKeys[r]} / ${columnKeys[i]}`, {
+        label: `${rowLabel} / ${table.columns[i + 1]}`,
+        value: cell,
+        number: numbers.length === 1 ? numbers[0] : null,
+      });
+    });
+  });
+  return values;
+};
+
+// Aligns each list of numbers with the previous one present: matching
+// numbers, and changed numbers paired up by position, keep their slot,
+// others open a new slot after the number before them. Returns the slots
+// in reading order and, per list, its numbers by slot.
+const alignNumbers = (numberLists) => {
+  const order = [];
+  let previous = null;
+  const slotted = numberLists.map(numbers => {
+    if (!numbers) return null;
+    const slots = [];
+    const openSlot = () => {
+      const slot = order.length;
+      const after = slots.length > 0 ? order.indexOf(slots[slots.length - 1]) : -1;
+      order.splice(after + 1, 0, slot);
+      return slot;
+    };
+    if (!previous) {
+      numbers.forEach(() => slots.push(openSlot()));
+    } else {
+      let oldIndex = 0;
+      const parts = diff.diffArrays(previous.numbers, numbers, { comparator: (a, b) => numbersMatch(a, b) });
+      parts.forEach((part, i) => {
+        if (part.added) {
+          const removed = i > 0 && parts[i - 1].removed ? parts[i - 1] : null;
+          const reused = removed ? Math.min(removed.count, part.count) : 0;
+          for (let k = 0; k < part.count; k++) {
+            slots.push(k < reused ? previous.slots[oldIndex - removed.count + k] : openSlot());
+          }
+          return;
+        }
+        if (!part.removed) {
+          for (let k = 0; k < part.count; k++) slots.push(previous.slots[oldIndex + k]);
+        }
+        oldIndex += part.count;
+      });
+    }
+    previous = { numbers, slots };
+    return slots;
+  });
+
+  return {
+    keys: order.map(slot => `#${slot}`),
+    values: numberLists.map((numbers, i) => {
+      const values = new Map();
+      (numbers || []).forEach((number, k) => {
+        const position = order.indexOf(slotted[i][k]) + 1;
+        values.set(`#${slotted[i][k]}`, {
+          label: number.label ? `#${position} ${number.label}` : `#${position}`,
+          value: number.raw,
+          number,
+        });
+      });
+      return values;
+    }),
+  };
+};
+
+// Whether a value changed between two versions' entries: as numbers when
+// both are, otherwise as text.
+const entryChanged = (previous, entry) => {
+  if (previous && entry && previous.number && entry.number) return !numbersMatch(previous.number, entry.number);
+  return (previous ? previous.value : '') !== (entry ? entry.value : '');
+};
+
+// Maps each section index of `reference` to the index of its counterpart in
+// `version`, using the same alignment as the two-document comparison.
+const alignTo = (reference, version, align) => {
+  const map = new Map();
+  align(reference.sections, version.sections).forEach(pair => {
+    if (pair.oldIndex !== null && pair.newIndex !== null) map.set(pair.oldIndex, pair.newIndex);
+  });
+  return map;
+};
+
+// `pairs` are the baseline/target section pairs chosen for comparison; the
+// sections of every other version are found by aligning them with the
+// baseline (or with the target for sections the baseline lacks).
+// `alignPagesByContent` matches page-by-page versions by their text, as for
+// the baseline and target.
+export const buildVersionMatrix = (
+  versions, baselineIndex, targetIndex, pairs, { tableAware = false, alignPagesByContent = false } = {}
+) => {
+  const baseline = versions[baselineIndex];
+  const target = versions[targetIndex];
+  const align = alignPagesByContent ? alignPages : alignSections;
+  const baselineMaps = versions.map((version, i) => (i === baselineIndex ? null : alignTo(baseline, version, align)));
+  const targetMaps = versions.map((version, i) => (i === targetIndex ? null : alignTo(target, version, align)));
+
+  return pairs
+    .map(pair => {
+      const sections = versions.map((version, i) => {
+        let index = null;
+        if (i === targetIndex) index = pair.newIndex;
+        else if (i === baselineIndex) index = pair.oldIndex;
+        else if (pair.oldIndex !== null) index = baselineMaps[i].get(pair.oldIndex) ?? null;
+        else index = targetMaps[i].get(pair.newIndex) ?? null;
+        return index !== null ? version.sections[index] : null;
+      });
+
+      const tabular = sections.map(section => Boolean(section && tableAware && section.table));
+      const numbers = alignNumbers(sections.map((section, i) => (
+        section && !tabular[i] ? extractLineNumbers(section.lines, versions[i].locale) : null
+      )));
+      const valueMaps = sections.map((section, i) => (tabular[i] ? tableValues(section.table, versions[i].locale) : numbers.values[i]));
+      const keys = [...new Set([...numbers.keys, ...valueMaps.flatMap(values => [...values.keys()])])];
+      const rows = keys.map(key => {
+        const entries = valueMaps.map(values => values.get(key));
+        const values = entries.map(entry => (entry ? entry.value : ''));
+        return {
+          key,
+          label: entries.find(Boolean).label,
+          values,
+          changed: entries.map((entry, i) => i > 0 && entryChanged(entries[i - 1], entry)),
+        };
+      });
+
+      return {
+        key: pair.key,
+        title: pair.path.join(' › '),
+        rows,
+      };
+    })
+    .filter(section => section.rows.some(row => row.changed.some(Boolean)));
+};
@@ -0,0 +1,79 @@
+import { groupIntoLines, buildTable } from './tableExtraction';
+import { buildVersionMatrix } from './versionMatrix';
+
+// A one-page section laid out from rows of cells, one row per line.
+const section = (rows) => {
+  const items = rows.flatMap((cells, row) => cells.map((str, column) => ({
+    str, x: 50 + column * 100, y: 700 - row * 14, width: 40, height: 10, page: 1,
+  })));
+  const lines = groupIntoLines(items);
+  return { title: 'Rates', path: ['Rates'], lines, text: lines.map(line => line.text).join('\n'), table: buildTable(lines) };
+};
+
+const matrix = (sections, options) => buildVersionMatrix(
+  sections.map(s => ({ sections: [s], locale: 'en' })),
+  0,
+  sections.length - 1,
+  [{ key: 'rates', oldIndex: 0, newIndex: 0, path: ['Rates'] }],
+  options
+);
+
+describe('buildVersionMatrix', () => {
+  test('aligns numbers across versions so an insertion does not shift later values', () => {
+    const [result] = matrix([
+      section([['Base 100'], ['Minimum 250'], ['Fee 25']]),
+      section([['Base 100'], ['Surcharge 15'], ['Minimum 250'], ['Fee 25']]),
+      section([['Base 100'], ['Surcharge 15'], ['Minimum 250'], ['Fee 30']]),
+    ]);
+    expect(result.rows.map(row => [row.label, row.values])).toEqual([
+      ['#1 Base', ['100', '100', '100']],
+      ['#2 Surcharge', ['', '15', '15']],
+      ['#3 Minimum', ['250', '250', '250']],
+      ['#4 Fee', ['25', '25', '30']],
+    ]);
+  });
+
+  test('keeps a changed number in its slot', () => {
+    const [result] = matrix([
+      section([['Base 100'], ['Fee 25']]),
+      section([['Base 110'], ['Fee 25']]),
+      section([['Base 120'], ['Fee 25']]),
+    ]);
+    expect(result.rows.map(row => row.values)).toEqual([['100', '110', '120'], ['25', '25', '25']]);
+  });
+
+  test('keeps repeated table row labels apart', () => {
+    const table = (first, second) => section([
+      ['Coverage', 'Premium'], ['Total', first], ['Detail', '5'], ['Total', second],
+    ]);
+    const [result] = matrix([table('10', '20'), table('10', '20'), table('10', '25')], { tableAware: true });
+    expect(result.rows.map(row => [row.label, row.values])).toEqual([
+      ['Total / Premium', ['10', '10', '10']],
+      ['Detail / Premium', ['5', '5', '5']],
+      ['Total (2) / Premium', ['20', '20', '25']],
+    ]);
+  });
+
+  test('compares numbers as values rather than as text', () => {
+    expect(matrix([section([['Base 100.0']]), section([['Base 100']])])).toEqual([]);
+    expect(matrix([section([['Limit $1,200']]), section([['Limit $1,200.00']])])).toEqual([]);
+    const [result] = matrix([
+      section([['Base 100.0'], ['Limit $1,200']]),
+      section([['Base 100'], ['Limit 1200.00']]),
+      section([['Base 110'], ['Limit 1200.00']]),
+    ]);
+    expect(result.rows.map(row => row.changed)).toEqual([[false, false, true], [false, true, false]]);
+  });
+
+  test('compares numeric table cells as values', () => {
+    const table = (premium) => section([['Coverage', 'Premium'], ['Liability', premium], ['Medical', '5']]);
+    expect(matrix([table('100.0'), table('100')], { tableAware: true })).toEqual([]);
+    const [result] = matrix([table('100.0'), table('100'), table('n/a')], { tableAware: true });
+    expect(result.rows.map(row => row.changed)).toEqual([[false, false, true], [false, false, false]]);
+  });
+
+  test('leaves out sections without changes', () => {
+    const same = section([['Base 100']]);
+    expect(matrix([same, same, same])).toEqual([]);
+  });
+});
@@ -0,0 +1,30 @@
+// Starts a job in a fresh comparison worker. The worker is terminated when
+// the job settles, or straight away by `cancel()`, which rejects the
+// promise with an error whose `cancelled` flag is set.
+export const runWorkerJob = (type, payload, { onProgress, transfer = [] } = {}) => {
+  const worker = new Worker(new URL('../workers/comparison.worker.js', import.meta.url));
+  let settle = null;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = (err, result) => {
+      worker.terminate();
+      if (err) reject(err);
+      else resolve(result);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress' && onProgress) onProgress(data.progress);
+      else if (data.type === 'result') settle(null, data.result);
+      else if (data.type === 'error') settle(Object.assign(new Error(data.error.message), { name: data.error.name, code: data.error.code }));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      settle(new Error(event.message || 'The comparison worker failed to start.'));
+    };
+  });
+
+  worker.postMessage({ type, payload }, transfer);
+
+  const cancel = () => settle(Object.assign(new Error('Cancelled'), { cancelled: true }));
+  return { promise, cancel };
+};
@@ -0,0 +1,27 @@
+/* eslint-disable no-restricted-globals */
+import * as pdfjsWorker from 'pdfjs-dist/build/pdf.worker.min.mjs';
+import { parsePdf } from '../utils/pdfParser';
+import { compareSections } from '../utils/compareSections';
+import { alignPages } from '../utils/sectionAlignment';
+
+// Runs one parse, page alignment or compare job off the main thread.
+// pdf.js cannot start its own worker from here, so its worker code is
+// loaded into this thread and picked up through `self.pdfjsWorker`.
+self.pdfjsWorker = pdfjsWorker;
+
+const jobs = {
+  parse: ({ data, password }, onProgress) => parsePdf(data, { password, onProgress }),
+  alignPages: ({ oldSections, newSections }) => alignPages(oldSections, newSections),
+  compare: (payload, onProgress) => compareSections(payload, { onProgress }),
+};
+
+self.onmessage = async ({ data: message }) => {
+  const job = jobs[message.type];
+  if (!job) return;
+  try {
+    const result = await job(message.payload, (progress) => self.postMessage({ type: 'progress', progress }));
+    self.postMessage({ type: 'result', result });
+  } catch (err) {
+    self.postMessage({ type: 'error', error: { name: err.name, message: err.message, code: err.code } });
+  }
+};